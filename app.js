@@ -1,27 +1,296 @@
+import { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage, isTranslated, untranslatedKeys, t } from "./shared/i18n.js";
+import { hasWebGPU, isModelCached, ensureModel, askLocalModel, rememberTurn, resetTurns } from "./client/localModel.js";
+import { queueMessage, pendingMessages, removeMessage, clearMessages } from "./client/outbox.js";
+import * as history from "./client/history.js";
+import { CONDITIONS, normalizeProfile, profileStage } from "./shared/profile.js";
+import { dueDateFromLmp, visitSchedule, visitsCalendar } from "./shared/visits.js";
+import { evaluateTool } from "./shared/tools.js";
+
 /* ---------------------------------- DOM refs ---------------------------------- */
 const $ = (sel) => document.querySelector(sel);
 const chat = $("#chat");
 const form = $("#composer");
 const input = $("#msg");
-const chipsEl = $("#chips"); // optional / future use
+const chipsEl = $("#chips");
 const progressBar = $("#model-progress");
+const langSelect = $("#lang");
+const sendBtn = $("#send");
+const statusEl = $("#status");
+const modeBadge = $("#mode");
+const offlineModelBtn = $("#offlineModel");
 
-// If you use this, make sure setStatus is defined somewhere:
 function setStatus(text) {
-  if (!progressBar) return;
-  progressBar.textContent = text;
+  if (statusEl) statusEl.textContent = text || "";
+}
+
+// Cache the app shell so Kozani opens without a connection
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("./sw.js").catch((err) => console.warn("Service worker not registered:", err));
+}
+
+// ------------------------- Language picker -------------------------
+// "auto" lets the backend detect the language of each message; the interface
+// then follows the phone's language when we support it.
+const LANG_KEY = "kozani_language";
+let chosenLanguage = localStorage.getItem(LANG_KEY) || "auto";
+
+// Pregnancy / baby profile (shared/profile.js), loaded once the history is unlocked
+let currentProfile = null;
+
+function uiLang() {
+  if (chosenLanguage !== "auto") return chosenLanguage;
+  const phone = (navigator.language || "en").slice(0, 2).toLowerCase();
+  return isSupportedLanguage(phone) ? phone : "en";
+}
+
+function applyStrings() {
+  const lang = uiLang();
+  document.documentElement.lang = lang;
+  if (input) input.placeholder = t(lang, "placeholder");
+  if (sendBtn) sendBtn.textContent = t(lang, "send");
+  const searchLabel = $("#doSearch");
+  if (searchLabel) searchLabel.textContent = t(lang, "searchTrusted");
+  const langLabel = $("#langLabel");
+  if (langLabel) langLabel.textContent = t(lang, "languageLabel");
+  if (langSelect?.options[0]) langSelect.options[0].textContent = t(lang, "autoDetect");
+  if (offlineModelBtn) offlineModelBtn.textContent = t(lang, "offlineDownload");
+  for (const [id, key] of PANEL_STRINGS) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.textContent = t(lang, key);
+    // English fallbacks are marked so screen readers don't read them with the wrong voice
+    if (isTranslated(lang, key)) el.removeAttribute("lang");
+    else el.lang = DEFAULT_LANGUAGE;
+  }
+  showTranslationNotice(lang);
+  showProfileSummary();
+  updateModeBadge();
 }
 
+// Strings not yet translated into `lang` are shown in English; tell her rather than leave it unexplained
+function showTranslationNotice(lang) {
+  const notice = $("#langNotice");
+  if (!notice) return;
+  notice.hidden = untranslatedKeys(lang).length === 0;
+  notice.textContent = t(lang, "translationPending").replace("{language}", LANGUAGES[lang].native);
+  if (isTranslated(lang, "translationPending")) notice.removeAttribute("lang");
+  else notice.lang = DEFAULT_LANGUAGE;
+}
+
+// Panel elements whose text is a plain string lookup
+const PANEL_STRINGS = [
+  ["historyBtn", "history"], ["historyHeading", "history"], ["newChat", "newChat"],
+  ["exportText", "exportText"], ["exportPdf", "exportPdf"], ["lockedNote", "historyLocked"],
+  ["unlockLabel", "passphraseLabel"], ["unlockBtn", "unlock"], ["privacySummary", "privacy"],
+  ["newPassLabel", "passphraseLabel"], ["setPassBtn", "setPassphrase"], ["removePass", "removePassphrase"],
+  ["deleteAll", "deleteAll"],
+  ["profileBtn", "aboutMe"], ["profileHeading", "aboutMe"], ["profileIntro", "profileIntro"],
+  ["profileLocked", "profileLocked"], ["stageLegend", "stageLegend"], ["stagePregnant", "stagePregnant"],
+  ["stageBaby", "stageBaby"], ["dueDateLabel", "dueDate"], ["birthDateLabel", "babyBirthDate"],
+  ["firstBabyLabel", "firstBabyQuestion"], ["firstBabyUnset", "preferNotToSay"], ["firstBabyYes", "yes"],
+  ["firstBabyNo", "no"], ["conditionsLegend", "conditionsLegend"], ["saveProfile", "save"],
+  ["clearProfile", "clearProfile"], ["lmpLabel", "lmpLabel"],
+  ["visitsHeading", "visitsHeading"], ["visitsNote", "visitsNote"], ["downloadVisits", "downloadVisits"],
+  ["visitRemindersLabel", "visitReminders"],
+  ["toolsBtn", "tools"], ["toolsHeading", "tools"], ["kickHeading", "kickCounter"], ["kickIntro", "kickIntro"],
+  ["kickStart", "kickStart"], ["kickTap", "kickTap"], ["kickDone", "toolDone"],
+  ["contractionHeading", "contractionTimer"], ["contractionIntro", "contractionIntro"],
+  ["contractionDone", "toolDone"], ["contractionReset", "clear"],
+  ...Object.keys(CONDITIONS).map(key => [`condition-${key}`, `condition_${key}`])
+];
+
+if (langSelect) {
+  langSelect.appendChild(new Option(t(uiLang(), "autoDetect"), "auto"));
+  for (const [code, { native }] of Object.entries(LANGUAGES)) {
+    langSelect.appendChild(new Option(native, code));
+  }
+  langSelect.value = chosenLanguage;
+  langSelect.addEventListener("change", () => {
+    chosenLanguage = langSelect.value;
+    localStorage.setItem(LANG_KEY, chosenLanguage);
+    applyStrings();
+  });
+}
+applyStrings();
+
 // ------------------------- Chat message helper -------------------------
-function addMsg(text, sender = "bot") {
+function addMsg(text, sender = "bot", { sources = [], contacts = [], mode, screening } = {}) {
   if (!chat) return;
 
   const msgEl = document.createElement("div");
   msgEl.className = sender === "user" ? "msg user" : "msg bot";
-  msgEl.textContent = text;
+  setMsgContent(msgEl, text, sender === "user" ? {} : { sources, contacts, mode, screening });
 
   chat.appendChild(msgEl);
   chat.scrollTop = chat.scrollHeight;
+  return msgEl; // so streamed answers can keep filling the same bubble
+}
+
+// `mode` ("backend" | "device") adds a note saying who answered
+const MODE_NOTES = { backend: "answeredOnline", device: "answeredOnDevice" };
+
+function setMsgContent(msgEl, text, { sources = [], contacts = [], mode, screening } = {}) {
+  msgEl.textContent = text;
+  if (contacts.length) msgEl.appendChild(renderContacts(contacts));
+  if (screening) msgEl.appendChild(renderScreening(screening));
+  if (sources.length) msgEl.appendChild(renderSources(sources));
+  if (MODE_NOTES[mode]) {
+    const note = document.createElement("small");
+    note.className = `mode-note ${mode}`;
+    note.textContent = t(uiLang(), MODE_NOTES[mode]);
+    msgEl.appendChild(note);
+  }
+  if (chat) chat.scrollTop = chat.scrollHeight;
+}
+
+// Citations under a bot bubble: [1] Title · who.int · 3 Oct 2026
+// Only web links become clickable; a snippet's url comes from whoever sent it
+function webUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function renderSources(sources) {
+  const list = document.createElement("ol");
+  list.className = "sources";
+  list.setAttribute("aria-label", "Sources");
+
+  sources.forEach((src) => {
+    const item = document.createElement("li");
+    const label = [src.title, src.domain, formatDate(src.retrievedAt)].filter(Boolean).join(" · ");
+
+    const href = webUrl(src.url);
+    if (href) {
+      const link = document.createElement("a");
+      link.className = "citation";
+      link.href = href;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = label;
+      item.appendChild(link);
+    } else {
+      item.textContent = label;
+    }
+    list.appendChild(item);
+  });
+  return list;
+}
+
+// Tap-to-call cards for urgent answers (server/directory.js)
+function renderContacts(contacts) {
+  const lang = uiLang();
+  const list = document.createElement("ul");
+  list.className = "contacts";
+  list.setAttribute("aria-label", t(lang, "contactsLabel"));
+
+  for (const c of contacts) {
+    const card = document.createElement("li");
+    card.className = `contact-card ${c.type}`;
+
+    const name = document.createElement("strong");
+    name.textContent = c.name;
+    card.appendChild(name);
+
+    const details = [c.hours, c.note].filter(Boolean).join(" · ");
+    if (details) {
+      const meta = document.createElement("span");
+      meta.className = "contact-meta";
+      meta.textContent = details;
+      card.appendChild(meta);
+    }
+
+    const actions = document.createElement("span");
+    actions.className = "contact-actions";
+    const action = (href, label, className) => {
+      const link = document.createElement("a");
+      link.href = href;
+      link.className = className;
+      link.textContent = label;
+      actions.appendChild(link);
+    };
+    if (c.tel) action(c.tel, t(lang, "callNumber").replace("{number}", c.phone), "call");
+    if (c.sms) action(`sms:${c.sms}`, t(lang, "smsNumber").replace("{number}", c.sms), "sms");
+    if (c.ussd) action(`tel:${c.ussd.replace(/#/g, "%23")}`, t(lang, "dialCode").replace("{code}", c.ussd), "ussd");
+    card.appendChild(actions);
+    list.appendChild(card);
+  }
+  return list;
+}
+
+// EPDS result under the answer: the score line, with each question and answer folded away
+function renderScreening(result) {
+  const box = document.createElement("details");
+  box.className = "screening";
+  const summary = document.createElement("summary");
+  summary.textContent = result.summary;
+  const list = document.createElement("ol");
+  list.setAttribute("aria-label", t(uiLang(), "epdsAnswers"));
+  for (const item of result.items || []) {
+    const li = document.createElement("li");
+    li.textContent = `${item.question}: ${item.answer}`;
+    list.appendChild(li);
+  }
+  box.append(summary, list);
+  return box;
+}
+
+// Answer chips under the chat: [{ label, onPick }]. Picking one clears them.
+// `focus` moves the keyboard to the first chip (when they're the only way on).
+function showChips(choices, { label, focus = false } = {}) {
+  if (!chipsEl) return;
+  chipsEl.replaceChildren();
+  chipsEl.setAttribute("role", "group");
+  if (label) chipsEl.setAttribute("aria-label", label);
+  for (const { label: text, onPick, className } of choices) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = className ? `chip ${className}` : "chip";
+    chip.textContent = text;
+    chip.addEventListener("click", () => {
+      clearChips();
+      onPick();
+    });
+    chipsEl.appendChild(chip);
+  }
+  if (focus) chipsEl.querySelector("button")?.focus();
+}
+
+// Arrow keys move between chips, Escape goes back to typing
+chipsEl?.addEventListener("keydown", (evt) => {
+  const chips = [...chipsEl.querySelectorAll("button")];
+  const at = chips.indexOf(document.activeElement);
+  if (at === -1) return;
+  if (evt.key === "Escape") {
+    input?.focus();
+    return;
+  }
+  const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[evt.key];
+  if (!step) return;
+  evt.preventDefault();
+  chips[(at + step + chips.length) % chips.length].focus();
+});
+
+// Follow-up questions from the backend; tapping one sends it like a typed message.
+// A suggested tool (kick counter, contraction timer) comes first.
+function showSuggestions(suggestions = [], tool = null) {
+  const choices = suggestions.map(text => ({ label: text, onPick: () => sendMessage(text) }));
+  if (TOOL_SECTIONS[tool]) choices.unshift({ label: t(uiLang(), `open_${tool}`), onPick: () => openTool(tool) });
+  if (!choices.length) return;
+  showChips(choices, { label: t(uiLang(), "suggestionsLabel") });
+}
+
+function clearChips() {
+  chipsEl?.replaceChildren();
+}
+
+function formatDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return isNaN(d) ? "" : d.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
 }
 
 /*-------------------- Ask backend ---------------------------------------*/
@@ -31,10 +300,20 @@ const API_BASE =
     ? "http://localhost:8787"
     : "https://kozani-backend.onrender.com";
 
+// server_v2.js (/api/search + /api/fetch); change this if it is deployed separately
+const SEARCH_API_BASE = API_BASE;
 
-async function sendToKozaniBackend(userText, retrievedSnippets = []) {
+// Backend conversation session (history lives on the server, keyed by this id)
+const SESSION_KEY = "kozani_session_id";
+const getSessionId = () => localStorage.getItem(SESSION_KEY) || undefined;
+function rememberSession(data) {
+  if (data?.sessionId) localStorage.setItem(SESSION_KEY, data.sessionId);
+}
+
+
+async function sendToKozaniBackend(userText, retrievedSnippets = [], { language = chosenLanguage, toolResult } = {}) {
   try {
-    const response = await fetch("https://kozani-backend.onrender.com/api/kozani-chat", {
+    const response = await fetch(`${API_BASE}/api/kozani-chat`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -42,44 +321,1013 @@ async function sendToKozaniBackend(userText, retrievedSnippets = []) {
       body: JSON.stringify({
         query: userText,
         snippets: retrievedSnippets,
-        language: "en",
-        client: "kozani-web-v3"
+        language,
+        profile: currentProfile || undefined,
+        toolResult,
+        client: "kozani-web-v3",
+        sessionId: getSessionId()
       })
     });
 
     const data = await response.json();
-    return data; // { answer, safety, meta }
+    rememberSession(data);
+    return data; // { answer, sources, safety, meta }
   } catch (err) {
     console.error("Error talking to Kozani backend:", err);
     return {
-      answer: "Sorry, I couldn’t connect to Kozani’s brain. Please check your connection.",
+      answer: t(uiLang(), "connectionError"),
       safety: { ok: false, flags: ["network_error"] },
       meta: { model: "none", mode: "offline-error" }
     };
   }
 }
 
-// --------------------------- Form submit handler ------------------------
-if (form && input) {
-  form.addEventListener("submit", async (evt) => {
-    evt.preventDefault();
+// Streamed variant (SSE over POST). Calls onToken(text) as the answer arrives and
+// resolves with the final { answer, sources, safety, meta }. If the stream breaks
+// it throws an error carrying `partial` (the text received so far).
+async function streamFromKozaniBackend(userText, retrievedSnippets = [], { onToken, language = chosenLanguage, toolResult } = {}) {
+  let partial = "";
+  const fail = (message) => Object.assign(new Error(message), { partial });
 
-    const text = input.value.trim();
-    if (!text) return;
+  let response;
+  try {
+    response = await fetch(`${API_BASE}/api/kozani-chat/stream`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "text/event-stream"
+      },
+      body: JSON.stringify({
+        query: userText,
+        snippets: retrievedSnippets,
+        language,
+        profile: currentProfile || undefined,
+        toolResult,
+        client: "kozani-web-v3",
+        sessionId: getSessionId()
+      })
+    });
+  } catch (err) {
+    throw fail(err.message);
+  }
+  if (!response.ok || !response.body) throw fail(`Streaming unavailable (${response.status})`);
 
-    // Show user's message
-    addMsg(text, "user");
-    input.value = "";
-    setStatus("Thinking…");
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) !== -1) {
+        const { event, data } = parseSseEvent(buffer.slice(0, sep));
+        buffer = buffer.slice(sep + 2);
+
+        if (event === "token") {
+          partial += data.text;
+          onToken?.(data.text);
+        } else if (event === "done") {
+          rememberSession(data);
+          return data;
+        } else if (event === "error") {
+          throw fail(data?.message || "stream_failed");
+        }
+      }
+    }
+  } catch (err) {
+    throw err.partial !== undefined ? err : fail(err.message);
+  }
+  throw fail("Stream ended before the answer finished");
+}
+
+function parseSseEvent(raw) {
+  let event = "message";
+  const lines = [];
+  for (const line of raw.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) lines.push(line.slice(5).trim());
+  }
+  let data = null;
+  try { data = JSON.parse(lines.join("\n")); } catch { /* keep null */ }
+  return { event, data };
+}
+
+// Stream into `bubble`; fall back to the plain endpoint if nothing arrived.
+// Resolves { answer, sources } as shown, or null when the backend can't be reached at all.
+async function askKozani(userText, bubble, { language, toolResult } = {}) {
+  let shown = "";
+
+  try {
+    const res = await streamFromKozaniBackend(userText, [], {
+      language,
+      toolResult,
+      onToken: (text) => {
+        shown += text;
+        setMsgContent(bubble, shown);
+      }
+    });
+    // The final answer is authoritative (the safety filter may have changed it)
+    const shownRes = { answer: res.answer, sources: res.sources || [], contacts: res.contacts || [] };
+    setMsgContent(bubble, res.answer, { ...shownRes, mode: "backend" });
+    rememberTurn(userText, res.answer);
+    return { ...shownRes, suggestions: res.suggestions || [], toolSuggestion: res.toolSuggestion, screeningOffer: res.screeningOffer };
+  } catch (err) {
+    if (err.partial) {
+      console.warn("Stream interrupted:", err.message);
+      const answer = `${err.partial.trim()}\n\n${t(uiLang(), "streamDropped")}`;
+      setMsgContent(bubble, answer, { mode: "backend" });
+      return { answer, sources: [] };
+    }
+    // Older backend or no streaming support: use the non-streaming endpoint
+    const res = await sendToKozaniBackend(userText, [], { language, toolResult });
+    if (res.meta?.mode === "offline-error") return null;
+    const shownRes = { answer: res.answer, sources: res.sources || [], contacts: res.contacts || [] };
+    setMsgContent(bubble, res.answer, { ...shownRes, mode: "backend" });
+    rememberTurn(userText, res.answer);
+    return { ...shownRes, suggestions: res.suggestions || [], toolSuggestion: res.toolSuggestion, screeningOffer: res.screeningOffer };
+  }
+}
+
+/*-------------------- Routing: backend, this phone, or later ------------*/
+// Online we ask the backend. When it can't be reached we fall back to the
+// on-device model — but only if this phone has WebGPU and the model is already
+// downloaded. Without either, the message waits in the outbox until we're back.
+async function deviceModelReady() {
+  return (await hasWebGPU()) && (await isModelCached());
+}
+
+function loadDeviceModel() {
+  return ensureModel({
+    onProgress: (fraction) => {
+      const pct = Math.round(fraction * 100);
+      setStatus(`${t(uiLang(), "loadingOfflineModel")} ${pct}%`);
+      if (progressBar) progressBar.style.width = `${pct}%`;
+    }
+  }).finally(() => {
+    if (progressBar) progressBar.style.width = "0%";
+  });
+}
+
+// Resolves { mode: "backend" | "device", answer, sources, suggestions?, screeningOffer? },
+// or null if nobody could answer
+async function answerMessage(userText, bubble, { language = chosenLanguage, toolResult } = {}) {
+  if (navigator.onLine) {
+    const res = await askKozani(userText, bubble, { language, toolResult });
+    if (res) return { mode: "backend", ...res };
+  }
+  if (!(await deviceModelReady())) return null;
+
+  await loadDeviceModel();
+  setStatus(t(uiLang(), "thinking"));
+  const answer = await askLocalModel(userText, { language, profile: currentProfile });
+  setMsgContent(bubble, answer, { mode: "device" });
+  return { mode: "device", answer, sources: [] };
+}
+
+async function updateModeBadge() {
+  if (!modeBadge) return;
+  const lang = uiLang();
+  const key = navigator.onLine ? "modeOnline" : (await deviceModelReady()) ? "modeOnDevice" : "modeOffline";
+  modeBadge.textContent = t(lang, key);
+  modeBadge.classList.toggle("pink", !navigator.onLine);
+}
+
+/*-------------------- Offline outbox ------------------------------------*/
+const waiting = new Map(); // outbox id -> the bubble that will show its answer
+let flushing = false;
+
+function showQueued(id, bubble) {
+  waiting.set(id, bubble);
+  bubble.classList.add("queued");
+  setMsgContent(bubble, t(uiLang(), "queuedOffline"));
+}
+
+// Send queued messages in order; stop at the first one the backend can't take
+async function flushOutbox() {
+  if (flushing || !navigator.onLine) return;
+  flushing = true;
+  try {
+    for (const item of pendingMessages()) {
+      let bubble = waiting.get(item.id);
+      if (!bubble && item.conversationId === conversationId) {
+        // queued on an earlier visit and not on screen (history locked)
+        addMsg(item.text, "user");
+        bubble = addMsg("…", "bot");
+      }
+      // answers for other conversations go straight into their history
+      bubble ??= document.createElement("div");
+      bubble.classList.remove("queued");
+      setMsgContent(bubble, "…");
+
+      const res = await askKozani(item.text, bubble, { language: item.language, toolResult: item.toolResult });
+      if (!res) {
+        showQueued(item.id, bubble);
+        break;
+      }
+      removeMessage(item.id);
+      waiting.delete(item.id);
+      if (item.conversationId) saveMessage(item.conversationId, { role: "bot", mode: "backend", text: res.answer, sources: res.sources, contacts: res.contacts });
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+window.addEventListener("online", () => {
+  updateModeBadge();
+  flushOutbox();
+});
+window.addEventListener("offline", updateModeBadge);
+// coming back to the tab is a good moment to retry after a failed flush
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState !== "visible") return;
+  flushOutbox();
+  remindAboutVisit();
+});
+
+/*-------------------- On-device history ---------------------------------*/
+// Every message is saved to IndexedDB (client/history.js) under the current
+// conversation id, which survives a refresh. The backend session id is saved
+// with it so reopening a conversation carries on the same server-side session.
+const CONVERSATION_KEY = "kozani_conversation_id";
+let conversationId = localStorage.getItem(CONVERSATION_KEY) || startConversation();
+
+const historyPanel = $("#history");
+const historyBtn = $("#historyBtn");
+const historyList = $("#historyList");
+const unlockForm = $("#unlockForm");
+const passForm = $("#passForm");
+const removePassBtn = $("#removePass");
+const privacyStatus = $("#privacyStatus");
+
+function startConversation() {
+  const id = history.newConversationId();
+  localStorage.setItem(CONVERSATION_KEY, id);
+  localStorage.removeItem(SESSION_KEY);
+  resetTurns();
+  return id;
+}
+
+// Saving must never get in the way of the conversation itself
+function saveMessage(id, message) {
+  history.appendMessage(id, message, { sessionId: getSessionId() })
+    .catch((err) => console.warn("Message not saved to history:", err));
+}
+
+async function showConversation(id) {
+  const conv = await history.getConversation(id);
+  if (!chat) return;
+  chat.replaceChildren();
+  stopScreening();
+  conversationId = id;
+  localStorage.setItem(CONVERSATION_KEY, id);
+  if (conv?.sessionId) localStorage.setItem(SESSION_KEY, conv.sessionId);
+  else localStorage.removeItem(SESSION_KEY);
+
+  const messages = conv?.messages || [];
+  for (const m of messages) addMsg(m.text, m.role, { sources: m.sources || [], contacts: m.contacts || [], mode: m.mode, screening: m.screening });
+  resetTurns(messages);
+  lastUserText = [...messages].reverse().find(m => m.role === "user")?.text || "";
+  if (searchSection) searchSection.style.display = lastUserText ? "" : "none";
+
+  // still waiting in the outbox: show where the answer will land
+  for (const item of pendingMessages()) {
+    if (item.conversationId === id) showQueued(item.id, addMsg("…", "bot"));
+  }
+}
+
+async function renderHistory() {
+  if (!historyList) return;
+  const lang = uiLang();
+  const locked = await history.isLocked();
+  if (unlockForm) unlockForm.hidden = !locked;
+  if (passForm) passForm.hidden = locked;
+  if (removePassBtn) removePassBtn.hidden = !(await history.hasPassphrase());
+
+  const items = await history.listConversations();
+  historyList.replaceChildren();
+  if (!locked && !items.length) {
+    const empty = document.createElement("li");
+    empty.className = "history-empty";
+    empty.textContent = t(lang, "noHistory");
+    historyList.appendChild(empty);
+  }
+  for (const item of items) {
+    const li = document.createElement("li");
+    if (item.id === conversationId) li.setAttribute("aria-current", "true");
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "history-open";
+    open.textContent = `${item.title || "…"} · ${formatDate(item.updatedAt)}`;
+    open.addEventListener("click", async () => {
+      await showConversation(item.id);
+      toggleHistory(false);
+    });
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "chip";
+    del.textContent = t(lang, "deleteConversation");
+    del.setAttribute("aria-label", `${t(lang, "deleteConversation")}: ${item.title}`);
+    del.addEventListener("click", async () => {
+      if (!confirm(t(lang, "confirmDelete"))) return;
+      await history.deleteConversation(item.id);
+      if (item.id === conversationId) newChat();
+      renderHistory();
+    });
+
+    li.append(open, del);
+    historyList.appendChild(li);
+  }
+}
+
+function toggleHistory(show = historyPanel?.hidden) {
+  if (!historyPanel) return;
+  historyPanel.hidden = !show;
+  historyBtn?.setAttribute("aria-expanded", String(show));
+  if (show) renderHistory();
+}
+
+function newChat() {
+  conversationId = startConversation();
+  chat?.replaceChildren();
+  stopScreening();
+  lastUserText = "";
+  if (searchSection) searchSection.style.display = "none";
+}
+
+historyBtn?.addEventListener("click", () => toggleHistory());
+$("#newChat")?.addEventListener("click", () => {
+  newChat();
+  toggleHistory(false);
+});
+
+unlockForm?.addEventListener("submit", async (evt) => {
+  evt.preventDefault();
+  const passInput = $("#unlockPass");
+  const ok = await history.unlock(passInput.value);
+  $("#unlockError").textContent = ok ? "" : t(uiLang(), "wrongPassphrase");
+  if (!ok) return;
+  passInput.value = "";
+  await showConversation(conversationId);
+  await loadProfile();
+  renderHistory();
+});
+
+passForm?.addEventListener("submit", async (evt) => {
+  evt.preventDefault();
+  const passInput = $("#newPass");
+  await history.setPassphrase(passInput.value);
+  passInput.value = "";
+  if (privacyStatus) privacyStatus.textContent = t(uiLang(), "passphraseSaved");
+  renderHistory();
+});
+
+removePassBtn?.addEventListener("click", async () => {
+  await history.setPassphrase(null);
+  if (privacyStatus) privacyStatus.textContent = t(uiLang(), "passphraseRemoved");
+  renderHistory();
+});
+
+$("#deleteAll")?.addEventListener("click", async () => {
+  if (!confirm(t(uiLang(), "confirmDeleteAll"))) return;
+  await history.deleteAll();
+  clearMessages();
+  waiting.clear();
+  currentProfile = null;
+  fillProfileForm();
+  newChat();
+  if (privacyStatus) privacyStatus.textContent = t(uiLang(), "deletedAll");
+  renderHistory();
+});
 
+/*-------------------- Export for the clinic -----------------------------*/
+async function currentConversationText() {
+  const conv = await history.getConversation(conversationId);
+  if (!conv?.messages.length) return null;
+  const lang = uiLang();
+  return history.conversationText(conv, {
+    heading: t(lang, "exportHeading"),
+    note: t(lang, "exportNote"),
+    you: t(lang, "you")
+  });
+}
+
+// Share sheet where the phone has one (WhatsApp, email…), else a .txt download
+$("#exportText")?.addEventListener("click", async () => {
+  const text = await currentConversationText();
+  if (!text) return;
+  const name = `kozani-${new Date().toISOString().slice(0, 10)}.txt`;
+  const file = new File([text], name, { type: "text/plain" });
+  try {
+    if (navigator.canShare?.({ files: [file] })) {
+      await navigator.share({ files: [file], title: t(uiLang(), "exportHeading") });
+      return;
+    }
+  } catch (err) {
+    if (err.name === "AbortError") return; // closed the share sheet
+  }
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(file);
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+// The browser's print dialog doubles as "save as PDF" on phones and laptops
+$("#exportPdf")?.addEventListener("click", async () => {
+  const text = await currentConversationText();
+  const view = $("#print-view");
+  if (!text || !view) return;
+  const pre = document.createElement("pre");
+  pre.textContent = text;
+  view.replaceChildren(pre);
+  window.print();
+});
+
+// Restore the conversation from before the refresh, then send anything still queued
+(async () => {
+  try {
+    if (await history.isLocked()) toggleHistory(true);
+    else await showConversation(conversationId);
+    await loadProfile();
+  } catch (err) {
+    console.warn("History unavailable:", err); // private browsing can block IndexedDB
+  }
+  flushOutbox();
+  remindAboutVisit();
+})();
+
+/*-------------------- Pregnancy / baby profile --------------------------*/
+// Optional, asked once instead of guessed from every message. Kept with the
+// history (same passphrase) and sent with each question; the backend and the
+// on-device model turn the dates into "24 weeks pregnant" on the day.
+const profilePanel = $("#profile");
+const profileBtn = $("#profileBtn");
+const profileForm = $("#profileForm");
+const conditionsEl = $("#conditions");
+
+for (const key of Object.keys(CONDITIONS)) {
+  const label = document.createElement("label");
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.name = "condition";
+  box.value = key;
+  const text = document.createElement("span");
+  text.id = `condition-${key}`;
+  text.textContent = t(uiLang(), `condition_${key}`);
+  label.append(box, " ", text);
+  conditionsEl?.appendChild(label);
+}
+
+// "24 weeks", "3 months" in the interface language
+function formatUnit(value, unit) {
+  try {
+    return new Intl.NumberFormat(uiLang(), { style: "unit", unit, unitDisplay: "long" }).format(value);
+  } catch {
+    return `${value} ${unit}${value === 1 ? "" : "s"}`;
+  }
+}
+
+function showProfileSummary() {
+  const el = document.getElementById("profileSummary");
+  if (!el) return;
+  const lang = uiLang();
+  const stage = currentProfile && profileStage(currentProfile);
+  if (stage?.phase === "pregnancy") {
+    el.textContent = t(lang, "profileSummaryPregnant")
+      .replace("{weeks}", formatUnit(stage.week, "week"))
+      .replace("{due}", formatDate(`${currentProfile.dueDate}T12:00:00`));
+  } else if (stage?.phase === "postpartum") {
+    el.textContent = t(lang, "profileSummaryBaby").replace("{age}", formatUnit(stage.babyAge.value, stage.babyAge.unit));
+  } else {
+    el.textContent = "";
+  }
+}
+
+function showStageFields() {
+  const stage = profileForm?.elements.stage.value;
+  $("#dueDateField").hidden = stage !== "pregnant";
+  $("#lmpField").hidden = stage !== "pregnant";
+  $("#birthDateField").hidden = stage !== "baby";
+}
+
+function fillProfileForm() {
+  if (!profileForm) return;
+  const p = currentProfile || {};
+  const f = profileForm.elements;
+  const stage = p.babyBirthDate ? "baby" : p.dueDate ? "pregnant" : "";
+  for (const radio of f.stage) radio.checked = radio.value === stage;
+  f.dueDate.value = p.dueDate || "";
+  f.lmp.value = "";
+  f.babyBirthDate.value = p.babyBirthDate || "";
+  f.firstBaby.value = p.firstBaby === true ? "yes" : p.firstBaby === false ? "no" : "";
+  for (const box of profileForm.querySelectorAll('input[name="condition"]')) {
+    box.checked = (p.conditions || []).includes(box.value);
+  }
+  showStageFields();
+  showProfileSummary();
+  renderVisits();
+}
+
+async function loadProfile() {
+  currentProfile = await history.loadProfile();
+  fillProfileForm();
+}
+
+async function renderProfile() {
+  const locked = await history.isLocked();
+  $("#profileLocked").hidden = !locked;
+  if (profileForm) profileForm.hidden = locked;
+  if (!locked) fillProfileForm();
+}
+
+function toggleProfile(show = profilePanel?.hidden) {
+  if (!profilePanel) return;
+  profilePanel.hidden = !show;
+  profileBtn?.setAttribute("aria-expanded", String(show));
+  if (show) renderProfile();
+}
+
+profileBtn?.addEventListener("click", () => toggleProfile());
+profileForm?.addEventListener("change", (evt) => {
+  if (evt.target.name === "stage") showStageFields();
+  // only the due date worked out from it is kept
+  if (evt.target.id === "lmp") profileForm.elements.dueDate.value = dueDateFromLmp(evt.target.value) || "";
+});
+
+profileForm?.addEventListener("submit", async (evt) => {
+  evt.preventDefault();
+  const f = profileForm.elements;
+  const stage = f.stage.value;
+  // only the date for the chosen stage is kept
+  const date = stage === "pregnant" ? f.dueDate.value : stage === "baby" ? f.babyBirthDate.value : "";
+  const profile = normalizeProfile({
+    dueDate: stage === "pregnant" ? date : null,
+    babyBirthDate: stage === "baby" ? date : null,
+    firstBaby: f.firstBaby.value === "yes" ? true : f.firstBaby.value === "no" ? false : null,
+    conditions: [...profileForm.querySelectorAll('input[name="condition"]:checked')].map(box => box.value)
+  });
+  if (date && !(profile?.dueDate || profile?.babyBirthDate)) {
+    setStatus(t(uiLang(), "profileDateInvalid"));
+    return;
+  }
+  await history.saveProfile(profile);
+  currentProfile = profile;
+  fillProfileForm();
+  setStatus(t(uiLang(), profile ? "profileSaved" : "profileCleared"));
+});
+
+$("#clearProfile")?.addEventListener("click", async () => {
+  await history.saveProfile(null);
+  currentProfile = null;
+  fillProfileForm();
+  setStatus(t(uiLang(), "profileCleared"));
+});
+
+/*-------------------- Antenatal visits ---------------------------------*/
+// The usual visit schedule worked out from the due date (shared/visits.js),
+// a calendar file to keep it in the phone's own calendar, and a reminder in the
+// chat when a visit is close. Web apps can't reliably wake up on a schedule, so
+// reminders show when Kozani is opened; the calendar's alarms cover the rest.
+const REMINDERS_KEY = "kozani_visit_reminders"; // "on" once she asks for them
+const REMINDED_KEY = "kozani_visit_reminded";   // date of the last visit reminded about
+const REMIND_DAYS = 2;
+
+function currentSchedule() {
+  if (!currentProfile?.dueDate || currentProfile.babyBirthDate) return null;
+  return visitSchedule({ dueDate: currentProfile.dueDate });
+}
+
+function renderVisits() {
+  const section = $("#visits");
+  const list = $("#visitList");
+  if (!section || !list) return;
+  const schedule = currentSchedule();
+  section.hidden = !schedule;
+  list.replaceChildren();
+  if (!schedule) return;
+
+  const lang = uiLang();
+  for (const v of schedule.visits) {
+    const li = document.createElement("li");
+    li.className = `visit ${v.status}`;
+    const when = document.createElement("strong");
+    when.textContent = `${t(lang, v.by ? "visitBy" : "visitWeek").replace("{week}", v.week)} · ${formatDate(`${v.date}T12:00:00`)}`;
+    li.append(when, ` — ${v.title}`);
+    if (v.status === "next") {
+      li.setAttribute("aria-current", "step");
+      const badge = document.createElement("span");
+      badge.className = "badge pink";
+      badge.textContent = t(lang, "visitNext");
+      const checks = document.createElement("ul");
+      for (const c of v.checks) {
+        const item = document.createElement("li");
+        item.textContent = c;
+        checks.appendChild(item);
+      }
+      li.append(" ", badge, checks);
+    }
+    list.appendChild(li);
+  }
+  $("#visitReminders").checked = localStorage.getItem(REMINDERS_KEY) === "on";
+}
+
+$("#downloadVisits")?.addEventListener("click", () => {
+  const schedule = currentSchedule();
+  if (!schedule) return;
+  const file = new File([visitsCalendar(schedule)], "kozani-antenatal-visits.ics", { type: "text/calendar" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(file);
+  link.download = file.name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+$("#visitReminders")?.addEventListener("change", async (evt) => {
+  if (!evt.target.checked) {
+    localStorage.removeItem(REMINDERS_KEY);
+    return;
+  }
+  localStorage.setItem(REMINDERS_KEY, "on");
+  if ("Notification" in window && Notification.permission === "default") {
+    await Notification.requestPermission().catch(() => {});
+  }
+  remindAboutVisit();
+});
+
+async function remindAboutVisit() {
+  if (localStorage.getItem(REMINDERS_KEY) !== "on") return;
+  const next = currentSchedule()?.next;
+  if (!next || localStorage.getItem(REMINDED_KEY) === next.date) return;
+  const days = Math.round((new Date(`${next.date}T00:00:00`) - new Date().setHours(0, 0, 0, 0)) / (24 * 60 * 60 * 1000));
+  if (days > REMIND_DAYS) return;
+
+  localStorage.setItem(REMINDED_KEY, next.date);
+  const lang = uiLang();
+  const when = days <= 0 ? t(lang, "today") : days === 1 ? t(lang, "tomorrow") : t(lang, "inDays").replace("{days}", days);
+  const text = t(lang, "visitReminder")
+    .replace("{week}", t(lang, next.by ? "visitBy" : "visitWeek").replace("{week}", next.week))
+    .replace("{when}", when);
+  addMsg(text, "bot")?.classList.add("notice");
+
+  if ("Notification" in window && Notification.permission === "granted") {
     try {
-      const res = await sendToKozaniBackend(text);
-      addMsg(res.answer, "bot");  // ⬅️ use the answer string
+      const reg = await navigator.serviceWorker?.getRegistration();
+      if (reg) await reg.showNotification("Kozani", { body: text, tag: `visit-${next.date}` });
+      else new Notification("Kozani", { body: text });
+    } catch (err) {
+      console.warn("Visit notification not shown:", err);
+    }
+  }
+}
+
+/*-------------------- Kick counter & contraction timer -----------------*/
+// Opened from the header or from a chip the backend suggests. Readings are kept
+// in localStorage while they run (counting can take two hours, labour longer),
+// then sent to the chat as a message plus the raw `toolResult`, which the
+// backend judges with shared/tools.js like a triage red flag.
+const TOOL_STATE_KEY = "kozani_tools";
+const TOOL_SECTIONS = { kick_counter: "#kickCounter", contraction_timer: "#contractionTimer" };
+const toolsPanel = $("#tools");
+const toolsBtn = $("#toolsBtn");
+let toolTicker = null;
+
+function readTools() {
+  try {
+    return JSON.parse(localStorage.getItem(TOOL_STATE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeTools(state) {
+  localStorage.setItem(TOOL_STATE_KEY, JSON.stringify(state));
+  renderTools();
+}
+
+function pregnancyWeek() {
+  const stage = currentProfile && profileStage(currentProfile);
+  return stage?.phase === "pregnancy" ? stage.week : null;
+}
+
+const clock = (ms) => {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+function renderTools() {
+  if (!toolsPanel) return;
+  const lang = uiLang();
+  const { kicks, contractions = [], contractionStart } = readTools();
+
+  $("#kickStart").hidden = Boolean(kicks);
+  $("#kickTap").hidden = !kicks;
+  $("#kickDone").hidden = !kicks;
+  $("#kickReadout").textContent = kicks
+    ? t(lang, "kickReadout").replace("{count}", kicks.count).replace("{time}", clock(Date.now() - kicks.startedAt))
+    : "";
+
+  const tap = $("#contractionTap");
+  tap.textContent = t(lang, contractionStart ? "contractionEnd" : "contractionStart");
+  tap.setAttribute("aria-pressed", String(Boolean(contractionStart)));
+  $("#contractionDone").hidden = !contractions.length;
+  $("#contractionReset").hidden = !contractions.length && !contractionStart;
+  $("#contractionReadout").textContent = contractionStart
+    ? t(lang, "contractionRunning").replace("{time}", clock(Date.now() - contractionStart))
+    : "";
+
+  const list = $("#contractionList");
+  list.replaceChildren();
+  contractions.slice(-6).forEach((c, i, shown) => {
+    const prev = i ? shown[i - 1] : contractions[contractions.length - shown.length - 1];
+    const li = document.createElement("li");
+    li.textContent = t(lang, "contractionRow")
+      .replace("{duration}", clock(c.end - c.start))
+      .replace("{interval}", prev ? clock(c.start - prev.start) : "–");
+    list.appendChild(li);
+  });
+
+  // tick only while something is being timed
+  const running = Boolean(kicks || contractionStart);
+  if (running && !toolTicker) toolTicker = setInterval(tickTools, 1000);
+  if (!running && toolTicker) {
+    clearInterval(toolTicker);
+    toolTicker = null;
+  }
+}
+
+// Two hours without ten movements ends the count by itself
+function tickTools() {
+  const { kicks } = readTools();
+  if (kicks && Date.now() - kicks.startedAt >= 120 * 60 * 1000) finishKicks();
+  else renderTools();
+}
+
+function toggleTools(show = toolsPanel?.hidden) {
+  if (!toolsPanel) return;
+  toolsPanel.hidden = !show;
+  toolsBtn?.setAttribute("aria-expanded", String(show));
+  if (show) renderTools();
+}
+
+function openTool(tool) {
+  toggleTools(true);
+  const section = $(TOOL_SECTIONS[tool]);
+  section?.scrollIntoView?.({ block: "nearest" });
+  section?.querySelector("button:not([hidden])")?.focus();
+}
+
+function finishTool(toolResult) {
+  const verdict = evaluateTool(toolResult, { week: pregnancyWeek() });
+  toggleTools(false);
+  if (verdict) sendMessage(verdict.summary, { toolResult });
+}
+
+function finishKicks() {
+  const state = readTools();
+  if (!state.kicks) return;
+  const { startedAt, count } = state.kicks;
+  delete state.kicks;
+  writeTools(state);
+  finishTool({ tool: "kick_counter", startedAt, endedAt: Date.now(), count });
+}
+
+toolsBtn?.addEventListener("click", () => toggleTools());
+
+$("#kickStart")?.addEventListener("click", () => {
+  writeTools({ ...readTools(), kicks: { startedAt: Date.now(), count: 0 } });
+  $("#kickTap").focus();
+});
+
+$("#kickTap")?.addEventListener("click", () => {
+  const state = readTools();
+  if (!state.kicks) return;
+  state.kicks.count += 1;
+  writeTools(state);
+  if (state.kicks.count >= 10) finishKicks();
+});
+
+$("#kickDone")?.addEventListener("click", finishKicks);
+
+$("#contractionTap")?.addEventListener("click", () => {
+  const state = readTools();
+  if (state.contractionStart) {
+    state.contractions = [...(state.contractions || []), { start: state.contractionStart, end: Date.now() }];
+    delete state.contractionStart;
+  } else {
+    state.contractionStart = Date.now();
+  }
+  writeTools(state);
+});
+
+$("#contractionDone")?.addEventListener("click", () => {
+  const { contractions = [], ...rest } = readTools();
+  delete rest.contractionStart;
+  writeTools(rest);
+  finishTool({ tool: "contraction_timer", contractions });
+});
+
+$("#contractionReset")?.addEventListener("click", () => {
+  const { contractions, contractionStart, ...rest } = readTools();
+  writeTools(rest);
+});
+
+// A count or timing still running from before a refresh
+if (Object.keys(readTools()).length) renderTools();
+
+/*-------------------- Wellbeing check-in (EPDS) ------------------------*/
+// Offered when the backend sees her messages stay strongly emotional
+// (`screeningOffer`). One question at a time with the answers as chips; the
+// server does the scoring (server/epds.js) and the result goes into history.
+let screening = null; // { answers } while the check-in is running
+
+function offerScreening() {
+  const lang = uiLang();
+  addMsg(t(lang, "epdsOffer"), "bot");
+  showChips([
+    { label: t(lang, "epdsStart"), onPick: startScreening },
+    { label: t(lang, "notNow"), onPick: () => {} }
+  ], { label: t(lang, "epdsOffer"), focus: true });
+}
+
+function startScreening() {
+  screening = { answers: [] };
+  nextScreeningStep();
+}
+
+function stopScreening() {
+  screening = null;
+  clearChips();
+}
+
+async function nextScreeningStep() {
+  const lang = uiLang();
+  let data;
+  try {
+    const resp = await fetch(`${API_BASE}/api/screening/epds`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        answers: screening.answers,
+        language: lang,
+        profile: currentProfile || undefined,
+        sessionId: getSessionId()
+      })
+    });
+    data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || `Check-in failed (${resp.status})`);
+  } catch (err) {
+    console.error(err);
+    stopScreening();
+    addMsg(t(lang, "epdsUnavailable"), "bot");
+    return;
+  }
+  if (!screening) return; // stopped while we were waiting
+
+  if (!data.done) {
+    if (data.intro) addMsg(data.intro, "bot");
+    const heading = t(lang, "epdsQuestion").replace("{step}", data.step).replace("{of}", data.of);
+    addMsg(`${heading} — ${data.question}`, "bot");
+    showChips([
+      ...data.options.map((label, i) => ({ label, onPick: () => answerScreening(i, label) })),
+      { label: t(lang, "epdsStop"), className: "quiet", onPick: () => {
+        stopScreening();
+        addMsg(t(lang, "epdsStopped"), "bot");
+      } }
+    ], { label: data.question, focus: true });
+    return;
+  }
+
+  screening = null;
+  addMsg(data.answer, "bot", { contacts: data.contacts, screening: data.result });
+  saveMessage(conversationId, { role: "bot", mode: "backend", text: data.answer, contacts: data.contacts, screening: data.result });
+}
+
+function answerScreening(index, label) {
+  addMsg(label, "user");
+  screening.answers.push(index);
+  nextScreeningStep();
+}
+
+/*-------------------- Offline model download ----------------------------*/
+// Offered, never automatic: the model is a large download
+async function setupOfflineModelButton() {
+  if (!offlineModelBtn || !(await hasWebGPU()) || (await isModelCached())) return;
+
+  offlineModelBtn.hidden = false;
+  offlineModelBtn.addEventListener("click", async () => {
+    offlineModelBtn.disabled = true;
+    try {
+      await loadDeviceModel();
+      offlineModelBtn.hidden = true;
+      setStatus(t(uiLang(), "offlineReady"));
+    } catch (err) {
+      console.error("Offline model failed to load:", err);
+      setStatus(t(uiLang(), "offlineFailed"));
+      offlineModelBtn.disabled = false;
+    }
+    updateModeBadge();
+  });
+}
+setupOfflineModelButton();
+
+/*-------------------- Search trusted sources ----------------------------*/
+const searchSection = $("#websearch");
+const searchBtn = $("#doSearch");
+let lastUserText = "";
+
+// Search the allow-listed sites, pull the top articles and ask for an answer grounded in them
+async function searchTrustedSources(query, { count = 3, maxChars = 4000 } = {}) {
+  const params = new URLSearchParams({ q: query, count: String(count), mkt: "en-ZA" });
+  const resp = await fetch(`${SEARCH_API_BASE}/api/search?${params}`);
+  if (!resp.ok) throw new Error(`Search failed (${resp.status})`);
+  const { items = [] } = await resp.json();
+
+  const pages = await Promise.all(items.slice(0, count).map(async (it) => {
+    try {
+      const r = await fetch(`${SEARCH_API_BASE}/api/fetch?url=${encodeURIComponent(it.url)}&maxChars=${maxChars}`);
+      if (!r.ok) return null;
+      const page = await r.json();
+      return { title: page.title || it.name, url: it.url, text: page.text, retrievedAt: new Date().toISOString() };
+    } catch {
+      return null; // one bad page shouldn't sink the rest
+    }
+  }));
+
+  return pages.filter(Boolean);
+}
+
+if (searchBtn) {
+  searchBtn.addEventListener("click", async () => {
+    if (!lastUserText) return;
+
+    searchBtn.disabled = true;
+    setStatus(t(uiLang(), "searching"));
+    try {
+      const snippets = await searchTrustedSources(lastUserText);
+      if (!snippets.length) {
+        addMsg(t(uiLang(), "noSearchResults"), "bot");
+        return;
+      }
+      setStatus(t(uiLang(), "thinking"));
+      const res = await sendToKozaniBackend(lastUserText, snippets);
+      addMsg(res.answer, "bot", { sources: res.sources || [], contacts: res.contacts || [], mode: "backend" });
+      saveMessage(conversationId, { role: "bot", mode: "backend", text: res.answer, sources: res.sources || [], contacts: res.contacts || [] });
     } catch (err) {
       console.error(err);
-      addMsg("⚠️ Something went wrong talking to the model.", "bot");
+      addMsg(t(uiLang(), "searchFailed"), "bot");
     } finally {
+      searchBtn.disabled = false;
       setStatus("");
     }
   });
 }
+
+// --------------------------- Sending a message -------------------------
+// From the composer, a quick-reply chip or a tool (`toolResult`, see shared/tools.js)
+async function sendMessage(text, { toolResult } = {}) {
+  stopScreening(); // typing instead of tapping a chip leaves the check-in
+
+  // Show user's message
+  addMsg(text, "user");
+  lastUserText = text;
+  if (searchSection) searchSection.style.display = "";
+  setStatus(t(uiLang(), "thinking"));
+
+  saveMessage(conversationId, { role: "user", text });
+  const bubble = addMsg("…", "bot");
+  try {
+    const res = await answerMessage(text, bubble, { toolResult });
+    if (res) saveMessage(conversationId, { role: "bot", mode: res.mode, text: res.answer, sources: res.sources, contacts: res.contacts });
+    else showQueued(queueMessage(text, { language: chosenLanguage, conversationId, toolResult }).id, bubble);
+    // without the backend, an urgent reading still has to say "go now"
+    if (res?.mode !== "backend" && toolResult && evaluateTool(toolResult, { week: pregnancyWeek() })?.urgent) {
+      addMsg(t(uiLang(), "toolUrgent"), "bot").classList.add("notice");
+    }
+    if (res?.screeningOffer === "epds") offerScreening();
+    else showSuggestions(res?.suggestions, res?.toolSuggestion);
+  } catch (err) {
+    console.error(err);
+    setMsgContent(bubble, t(uiLang(), "somethingWrong"));
+  } finally {
+    setStatus("");
+    updateModeBadge();
+  }
+}
+
+if (form && input) {
+  form.addEventListener("submit", (evt) => {
+    evt.preventDefault();
+
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = "";
+    sendMessage(text);
+  });
+}
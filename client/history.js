@@ -0,0 +1,286 @@
+// history.js — chat history kept on the phone in IndexedDB
+//
+// One record per conversation: { id, startedAt, updatedAt, body }. With no
+// passphrase `body` is { plain: { title, sessionId, messages } }; with one it
+// is { iv, cipher } — AES-GCM under a key derived from the passphrase (PBKDF2),
+// so someone else picking up a shared phone sees nothing but timestamps.
+// The passphrase itself is never stored; a sealed check value tells us
+// whether an attempt was right. Forgetting it means deleting everything.
+//
+// While the history is locked, new messages wait in memory and are written
+// once it is unlocked. The pregnancy / baby profile is kept here too, under
+// the same passphrase, since it is at least as private as the chats.
+const DB_NAME = "kozani";
+const DB_VERSION = 1;
+const CONVERSATIONS = "conversations";
+const SETTINGS = "settings";
+const CRYPTO_KEY = "crypto";
+const PROFILE_KEY = "profile";
+
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_VALUE = "kozani-history";
+const TITLE_CHARS = 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/* ------------------------------- IndexedDB ---------------------------------- */
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CONVERSATIONS)) db.createObjectStore(CONVERSATIONS, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(SETTINGS)) db.createObjectStore(SETTINGS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+async function store(name, mode = "readonly") {
+  return (await openDb()).transaction(name, mode).objectStore(name);
+}
+
+/* -------------------------------- Encryption -------------------------------- */
+let key = null;        // CryptoKey while unlocked, null when there's no passphrase
+let locked = false;
+let cryptoReady = null;
+
+async function deriveKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function seal(value, withKey = key) {
+  if (!withKey) return { plain: value };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, withKey, encoder.encode(JSON.stringify(value)));
+  return { iv, cipher };
+}
+
+async function unseal(body, withKey = key) {
+  if (body.plain) return body.plain;
+  if (!withKey) throw new Error("History is locked");
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: body.iv }, withKey, body.cipher);
+  return JSON.parse(decoder.decode(plain));
+}
+
+// Works out whether a passphrase is set, once per page load
+function loadCryptoState() {
+  cryptoReady ??= (async () => {
+    const settings = await done((await store(SETTINGS)).get(CRYPTO_KEY));
+    locked = Boolean(settings);
+  })();
+  return cryptoReady;
+}
+
+export async function hasPassphrase() {
+  await loadCryptoState();
+  const settings = await done((await store(SETTINGS)).get(CRYPTO_KEY));
+  return Boolean(settings);
+}
+
+export async function isLocked() {
+  await loadCryptoState();
+  return locked;
+}
+
+// Resolves false for a wrong passphrase
+export async function unlock(passphrase) {
+  await loadCryptoState();
+  const settings = await done((await store(SETTINGS)).get(CRYPTO_KEY));
+  if (!settings) return true;
+
+  const candidate = await deriveKey(passphrase, settings.salt);
+  try {
+    if ((await unseal(settings.check, candidate)) !== CHECK_VALUE) return false;
+  } catch {
+    return false; // AES-GCM refuses to decrypt under the wrong key
+  }
+  key = candidate;
+  locked = false;
+  await writePending();
+  return true;
+}
+
+// Sets, changes (passphrase) or removes (null) the passphrase and re-seals every
+// conversation under it. Only possible while unlocked.
+export function setPassphrase(passphrase) {
+  return queueWrite(async () => {
+    if (await isLocked()) throw new Error("Unlock the history first");
+
+    const all = await done((await store(CONVERSATIONS)).getAll());
+    const opened = await Promise.all(all.map(async (r) => ({ ...r, value: await unseal(r.body) })));
+    const profileBody = await done((await store(SETTINGS)).get(PROFILE_KEY));
+    const profile = profileBody ? await unseal(profileBody) : null;
+
+    let nextKey = null;
+    let settings = null;
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      nextKey = await deriveKey(passphrase, salt);
+      settings = { salt, check: await seal(CHECK_VALUE, nextKey) };
+    }
+    const resealed = await Promise.all(opened.map(async ({ value, ...r }) => ({ ...r, body: await seal(value, nextKey) })));
+    const profileResealed = profile ? await seal(profile, nextKey) : null;
+
+    // crypto is async, so everything is prepared first and written in one go
+    const tx = (await openDb()).transaction([CONVERSATIONS, SETTINGS], "readwrite");
+    for (const r of resealed) tx.objectStore(CONVERSATIONS).put(r);
+    if (settings) tx.objectStore(SETTINGS).put(settings, CRYPTO_KEY);
+    else tx.objectStore(SETTINGS).delete(CRYPTO_KEY);
+    if (profileResealed) tx.objectStore(SETTINGS).put(profileResealed, PROFILE_KEY);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    key = nextKey;
+  });
+}
+
+/* ------------------------------ Conversations ------------------------------- */
+const pending = []; // [{ conversationId, message, sessionId }] written on unlock
+let writes = Promise.resolve(); // one read-modify-write at a time
+
+function queueWrite(task) {
+  const run = writes.then(task);
+  writes = run.catch(() => {});
+  return run;
+}
+
+export function newConversationId() {
+  return crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// message: { role: "user" | "bot", text, mode?, sources?, contacts?, screening? }
+export async function appendMessage(conversationId, message, { sessionId } = {}) {
+  const entry = { ...message, at: message.at || new Date().toISOString() };
+  if (await isLocked()) {
+    pending.push({ conversationId, message: entry, sessionId });
+    return;
+  }
+  await queueWrite(() => writeMessage(conversationId, entry, sessionId));
+}
+
+async function writeMessage(conversationId, message, sessionId) {
+  const record = await done((await store(CONVERSATIONS)).get(conversationId));
+  const value = record
+    ? await unseal(record.body)
+    : { title: "", sessionId: null, messages: [] };
+
+  value.messages.push(message);
+  if (!value.title && message.role === "user") value.title = message.text.slice(0, TITLE_CHARS);
+  if (sessionId) value.sessionId = sessionId;
+
+  const body = await seal(value);
+  await done((await store(CONVERSATIONS, "readwrite")).put({
+    id: conversationId,
+    startedAt: record?.startedAt || message.at,
+    updatedAt: message.at,
+    body
+  }));
+}
+
+function writePending() {
+  return queueWrite(async () => {
+    while (pending.length) {
+      const { conversationId, message, sessionId } = pending.shift();
+      await writeMessage(conversationId, message, sessionId);
+    }
+  });
+}
+
+// Newest first: [{ id, title, startedAt, updatedAt, count }]
+export async function listConversations() {
+  if (await isLocked()) return [];
+  const all = await done((await store(CONVERSATIONS)).getAll());
+  const items = await Promise.all(all.map(async (r) => {
+    const value = await unseal(r.body);
+    return { id: r.id, title: value.title, startedAt: r.startedAt, updatedAt: r.updatedAt, count: value.messages.length };
+  }));
+  return items.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// { id, title, sessionId, startedAt, updatedAt, messages } or null
+export async function getConversation(id) {
+  if (!id || (await isLocked())) return null;
+  const record = await done((await store(CONVERSATIONS)).get(id));
+  if (!record) return null;
+  return { id, startedAt: record.startedAt, updatedAt: record.updatedAt, ...(await unseal(record.body)) };
+}
+
+export async function deleteConversation(id) {
+  await done((await store(CONVERSATIONS, "readwrite")).delete(id));
+}
+
+// Everything, including the passphrase check — also the way out of a forgotten passphrase
+export async function deleteAll() {
+  const tx = (await openDb()).transaction([CONVERSATIONS, SETTINGS], "readwrite");
+  tx.objectStore(CONVERSATIONS).clear();
+  tx.objectStore(SETTINGS).clear();
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  pending.length = 0;
+  key = null;
+  locked = false;
+}
+
+/* --------------------------------- Profile ---------------------------------- */
+// null when there is none or the history is locked
+export async function loadProfile() {
+  if (await isLocked()) return null;
+  const body = await done((await store(SETTINGS)).get(PROFILE_KEY));
+  return body ? unseal(body) : null;
+}
+
+// `profile` null clears it
+export function saveProfile(profile) {
+  return queueWrite(async () => {
+    if (await isLocked()) throw new Error("Unlock the history first");
+    const body = profile ? await seal(profile) : null;
+    const settings = await store(SETTINGS, "readwrite");
+    await done(body ? settings.put(body, PROFILE_KEY) : settings.delete(PROFILE_KEY));
+  });
+}
+
+/* ---------------------------------- Export ---------------------------------- */
+// Plain-text summary to show a nurse. `labels` are the translated strings.
+export function conversationText(conv, labels) {
+  const when = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+  const lines = [
+    `${labels.heading} — ${when(conv.startedAt)}`,
+    labels.note,
+    ""
+  ];
+  for (const m of conv.messages) {
+    lines.push(`${m.role === "user" ? labels.you : "Kozani"} (${when(m.at)}):`);
+    lines.push(m.text);
+    (m.sources || []).forEach((s, i) => lines.push(`  [${i + 1}] ${[s.title, s.url].filter(Boolean).join(" — ")}`));
+    if (m.screening) {
+      lines.push(`  ${m.screening.summary}`);
+      for (const item of m.screening.items) lines.push(`  ${item.number}. ${item.question}: ${item.answer} (${item.score})`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,131 @@
+// localModel.js — on-device answers with WebLLM, used when the backend can't be reached
+//
+// The library is imported lazily so the rest of the app still loads (from the
+// service worker cache) when esm.run is unreachable. The model itself is only
+// downloaded when the person asks for it — it is far too big to fetch behind
+// someone's back on prepaid data — and WebLLM keeps it in the browser cache.
+import { guardCompletion } from "../shared/outputFilter.js";
+import { LANGUAGES } from "../shared/i18n.js";
+import { profilePrompt } from "../shared/profile.js";
+
+const WEBLLM_URL = "https://esm.run/@mlc-ai/web-llm@0.2.79?bundle";
+export const MODEL_ID = "gemma-2-2b-it-q4f16_1-MLC";
+
+const DEBUG = false;
+
+/* --------------------------------- Loading ---------------------------------- */
+let libraryPromise = null;
+let engine = null;
+let engineReadyPromise = null;
+let gpuPromise = null;
+
+function loadLibrary() {
+  libraryPromise ??= import(WEBLLM_URL).catch((err) => {
+    libraryPromise = null;
+    throw err;
+  });
+  return libraryPromise;
+}
+
+// navigator.gpu can exist without a usable adapter (blocklisted drivers etc.)
+export function hasWebGPU() {
+  gpuPromise ??= (async () => {
+    try {
+      return Boolean(await navigator.gpu?.requestAdapter());
+    } catch {
+      return false;
+    }
+  })();
+  return gpuPromise;
+}
+
+// True when the weights are already on this device, so loading costs no data
+export async function isModelCached() {
+  if (engine) return true;
+  try {
+    const webllm = await loadLibrary();
+    return await webllm.hasModelInCache(MODEL_ID);
+  } catch {
+    return false;
+  }
+}
+
+export function isModelLoaded() {
+  return Boolean(engine);
+}
+
+// onProgress(fraction 0..1) while the weights download or load from cache
+export async function ensureModel({ onProgress } = {}) {
+  if (engine) return engine;
+  if (engineReadyPromise) return engineReadyPromise;
+
+  engineReadyPromise = (async () => {
+    const webllm = await loadLibrary();
+    engine = await webllm.CreateMLCEngine(MODEL_ID, {
+      initProgressCallback: (info) => {
+        if (typeof info?.progress === "number") onProgress?.(info.progress);
+        if (DEBUG) console.log("Model init progress:", info);
+      }
+    });
+    return engine;
+  })().catch((err) => {
+    engineReadyPromise = null;
+    throw err;
+  });
+
+  return engineReadyPromise;
+}
+
+/* ------------------------------ Conversation -------------------------------- */
+const SYSTEM_PROMPT =
+  "You are Kozani, a gentle, calm perinatal companion. " +
+  "You support people through pregnancy, birth and early parenting with " +
+  "short, clear, kind answers. Avoid medical jargon. Always be empathetic. " +
+  "If someone describes a danger sign (heavy bleeding, severe pain, fits, fever, " +
+  "the baby not moving, thoughts of self-harm), tell them to go to a clinic or hospital now.";
+
+// The on-device model has a small context window: keep only the most recent turns
+const MAX_HISTORY_MESSAGES = 12;
+const history = [];
+
+// Called for every answered exchange, whoever answered it, so switching to the
+// device model mid-conversation keeps the context
+export function rememberTurn(userText, answer) {
+  history.push({ role: "user", content: userText }, { role: "assistant", content: answer });
+  if (history.length > MAX_HISTORY_MESSAGES) history.splice(0, history.length - MAX_HISTORY_MESSAGES);
+}
+
+// Start over, or carry on from a saved conversation: [{ role: "user" | "bot", text }]
+export function resetTurns(messages = []) {
+  history.length = 0;
+  for (const m of messages.slice(-MAX_HISTORY_MESSAGES)) {
+    history.push({ role: m.role === "user" ? "user" : "assistant", content: m.text });
+  }
+}
+
+// `language` is a code from shared/i18n.js, or "auto" to answer in the user's language;
+// `profile` is the optional pregnancy / baby profile (shared/profile.js)
+export async function askLocalModel(userText, { language = "auto", profile = null } = {}) {
+  const e = await ensureModel();
+  const reply = LANGUAGES[language] ? ` Always reply in ${LANGUAGES[language].name}.` : " Reply in the language the user writes in.";
+  const about = profilePrompt(profile);
+  const conversation = [
+    { role: "system", content: SYSTEM_PROMPT + reply + (about ? `\n\n${about}` : "") },
+    ...history,
+    { role: "user", content: userText }
+  ];
+
+  // Same output filter as the backend: redact doses/diagnoses, regenerate once, or fall back
+  const guarded = await guardCompletion(async (extraInstruction) => {
+    const messages = extraInstruction
+      ? [...conversation, { role: "system", content: extraInstruction }]
+      : conversation;
+
+    const res = await e.chat.completions.create({ messages, temperature: 0.3, max_tokens: 256 });
+    return res?.choices?.[0]?.message?.content?.trim() || "I'm not sure how to respond to that.";
+  });
+  if (DEBUG && guarded.flags.length) console.log("Output filter:", guarded.flags, guarded.meta);
+
+  rememberTurn(userText, guarded.answer);
+  return guarded.answer;
+}
@@ -0,0 +1,44 @@
+// outbox.js — messages typed while nothing could answer them
+//
+// Kept in localStorage so a queued question survives the tab being closed;
+// app.js sends them in order once the device is back online.
+const OUTBOX_KEY = "kozani_outbox";
+
+function read() {
+  try {
+    const items = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+function write(items) {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+}
+
+// `toolResult` is a kick counter / contraction timer reading sent along with the text
+export function queueMessage(text, { language, conversationId, toolResult } = {}) {
+  const item = {
+    id: crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    text,
+    language,
+    conversationId,
+    toolResult,
+    queuedAt: new Date().toISOString()
+  };
+  write([...read(), item]);
+  return item;
+}
+
+export function pendingMessages() {
+  return read();
+}
+
+export function removeMessage(id) {
+  write(read().filter(item => item.id !== id));
+}
+
+export function clearMessages() {
+  localStorage.removeItem(OUTBOX_KEY);
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// channel-sim.js — try the SMS, WhatsApp and USSD webhooks without a provider
+//
+//   npm run sim -- sms [--phone +27820000001]
+//   npm run sim -- whatsapp [--phone +27820000001]
+//   npm run sim -- ussd [--phone +27820000001] [--code *120*5696#]
+//
+// Posts what you type to a running server_v3.js the way Twilio and Africa's
+// Talking would, and prints the replies part by part with their lengths.
+// These requests aren't signed: start the server with CHANNEL_ALLOW_UNSIGNED=true
+// and without TWILIO_AUTH_TOKEN, CHANNEL_USSD_SECRET or CHANNEL_USSD_ALLOWED_IPS.
+// Type /quit (or Ctrl-D) to stop. Lines from a pipe work too.
+import readline from "node:readline";
+import axios from "axios";
+import "dotenv/config";
+
+// Where server_v3.js is running
+const API = process.env.CHANNEL_SIM_API || "http://localhost:8787";
+
+function parseFlags(args) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+    else rest.push(args[i]);
+  }
+  return { flags, rest };
+}
+
+function usage() {
+  console.log(`Usage: sim <sms|whatsapp|ussd> [--phone +27...] [--code *120*...#]  (CHANNEL_SIM_API=${API})`);
+  process.exit(1);
+}
+
+// Next line typed (or piped), or null at the end of input
+async function ask(lines, prompt) {
+  process.stdout.write(prompt);
+  const { value, done } = await lines.next();
+  return done ? null : value;
+}
+
+async function post(route, fields) {
+  const resp = await axios.post(`${API}${route}`, new URLSearchParams(fields), {
+    timeout: 30000,
+    responseType: "text",
+    validateStatus: () => true
+  });
+  if (resp.status === 403 || resp.status === 503) {
+    throw new Error("request refused: run the server with CHANNEL_ALLOW_UNSIGNED=true and no channel secrets");
+  }
+  if (resp.status !== 200) throw new Error(`${route} returned ${resp.status}: ${resp.data}`);
+  return resp.data;
+}
+
+const unescapeXml = (s) => s
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+
+/* ------------------------------- SMS / WhatsApp ------------------------------ */
+async function messaging(lines, channel, phone) {
+  const from = channel === "whatsapp" ? `whatsapp:${phone}` : phone;
+  console.log(`${channel} from ${phone}. Try HELP, NEW or DELETE.`);
+  let n = 0;
+  for (;;) {
+    const line = await ask(lines, "> ");
+    if (line === null || line.trim() === "/quit") return;
+
+    const xml = await post("/api/channels/twilio", {
+      MessageSid: `SMsim${Date.now()}${n++}`,
+      From: from,
+      To: channel === "whatsapp" ? "whatsapp:+27000000000" : "+27000000000",
+      Body: line,
+      NumMedia: "0"
+    });
+    const parts = [...xml.matchAll(/<Message>([\s\S]*?)<\/Message>/g)].map(m => unescapeXml(m[1]));
+    parts.forEach((p, i) => console.log(`\n[${i + 1}/${parts.length}, ${p.length} chars]\n${p}`));
+    console.log();
+  }
+}
+
+/* ----------------------------------- USSD ------------------------------------ */
+// Each dial is a gateway session; the text grows with every input, joined by "*"
+async function ussd(lines, phone, code) {
+  console.log(`Dialling ${code} from ${phone}.`);
+  for (;;) {
+    const sessionId = `ATUid_sim${Date.now()}`;
+    const inputs = [];
+    for (;;) {
+      const reply = await post("/api/channels/ussd", { sessionId, serviceCode: code, phoneNumber: phone, text: inputs.join("*") });
+      console.log(`\n[${reply.length} chars]\n${reply.replace(/^(CON|END) /, "")}\n`);
+      if (!reply.startsWith("CON ")) break;
+      const line = await ask(lines, "> ");
+      if (line === null || line.trim() === "/quit") return;
+      inputs.push(line.trim());
+    }
+    const again = await ask(lines, "(session ended — Enter to dial again, /quit to stop) ");
+    if (again === null || again.trim() === "/quit") return;
+  }
+}
+
+async function main() {
+  const { flags, rest } = parseFlags(process.argv.slice(2));
+  const channel = rest[0];
+  if (!["sms", "whatsapp", "ussd"].includes(channel)) usage();
+  const phone = flags.phone || "+27820000001";
+
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  try {
+    if (channel === "ussd") await ussd(lines, phone, flags.code || "*120*5696#");
+    else await messaging(lines, channel, phone);
+  } finally {
+    rl.close();
+  }
+}
+
+main().catch(err => {
+  console.error("sim:", err.message);
+  process.exit(1);
+});
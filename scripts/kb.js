@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// kb.js — manage Kozani's local knowledge base
+//
+//   npm run kb -- add <url>                      pull an article through server_v2.js /api/fetch
+//   npm run kb -- add-file <path> [--title T] [--url U]
+//   npm run kb -- list
+//   npm run kb -- remove <sourceId>
+//   npm run kb -- reindex
+//   npm run kb -- search <query>
+import fs from "node:fs";
+import path from "node:path";
+import axios from "axios";
+import "dotenv/config";
+import { addDocument, removeDocument, listSources, reindex, retrieve, KB_DIR } from "../server/kb.js";
+
+// Where server_v2.js (search + fetch) is running
+const FETCH_API = process.env.KB_FETCH_API || "http://localhost:8787";
+
+function parseFlags(args) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+    else rest.push(args[i]);
+  }
+  return { flags, rest };
+}
+
+function usage() {
+  console.log(`Usage: kb <add|add-file|list|remove|reindex|search> ...  (KB_DIR=${KB_DIR})`);
+  process.exit(1);
+}
+
+async function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+  const { flags, rest } = parseFlags(args);
+
+  switch (cmd) {
+    case "add": {
+      const url = rest[0];
+      if (!url) usage();
+      const resp = await axios.get(`${FETCH_API}/api/fetch`, {
+        params: { url, maxChars: 200000 },
+        timeout: 30000,
+        validateStatus: () => true
+      });
+      if (resp.status !== 200) {
+        throw new Error(`/api/fetch returned ${resp.status}: ${JSON.stringify(resp.data?.error || resp.data)}`);
+      }
+      const doc = addDocument({ title: flags.title || resp.data.title, url, text: resp.data.text, origin: "fetch" });
+      const stats = reindex();
+      console.log(`Added ${doc.id} "${doc.title}" (${doc.charCount} chars). Index: ${stats.chunks} chunks.`);
+      break;
+    }
+    case "add-file": {
+      const file = rest[0];
+      if (!file) usage();
+      const text = fs.readFileSync(file, "utf8");
+      const doc = addDocument({
+        title: flags.title || path.basename(file),
+        url: flags.url || null,
+        text,
+        origin: "file"
+      });
+      const stats = reindex();
+      console.log(`Added ${doc.id} "${doc.title}" (${doc.charCount} chars). Index: ${stats.chunks} chunks.`);
+      break;
+    }
+    case "list": {
+      const sources = listSources();
+      if (!sources.length) console.log("Knowledge base is empty.");
+      for (const s of sources) {
+        console.log(`${s.id}  ${String(s.chunks).padStart(4)} chunks  ${s.title}${s.url ? `  <${s.url}>` : ""}`);
+      }
+      break;
+    }
+    case "remove": {
+      if (!rest[0]) usage();
+      if (!removeDocument(rest[0])) throw new Error(`No source with id ${rest[0]}`);
+      const stats = reindex();
+      console.log(`Removed ${rest[0]}. Index: ${stats.chunks} chunks.`);
+      break;
+    }
+    case "reindex": {
+      const stats = reindex();
+      console.log(`Indexed ${stats.documents} documents into ${stats.chunks} chunks.`);
+      break;
+    }
+    case "search": {
+      const q = rest.join(" ");
+      if (!q) usage();
+      for (const hit of retrieve(q, { k: Number(flags.k) || 5, minScore: 0 })) {
+        console.log(`[${hit.score}] ${hit.id}  ${hit.title}\n  ${hit.text.slice(0, 160).replace(/\s+/g, " ")}…`);
+      }
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main().catch(err => {
+  console.error("kb:", err.message);
+  process.exit(1);
+});
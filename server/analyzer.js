@@ -0,0 +1,332 @@
+// analyzer.js — short LLM pass that reads the user's message before we answer it
+//
+// Ported from the browser analyser in app_v3.js. The model is asked for a JSON
+// object describing topic, intent, emotional state, risk, user context and goal;
+// the result is checked against ANALYSIS_SCHEMA, small mistakes are repaired,
+// and anything unusable gets one retry before we carry on without an analysis.
+// Deterministic triage (./triage.js) stays in charge of escalation — the
+// analysis only ever adds caution, it never removes it.
+import * as llm from "./providers/index.js";
+
+const MAX_ATTEMPTS = Number(process.env.ANALYZER_MAX_ATTEMPTS || 2);
+export const ANALYZER_ENABLED = process.env.ANALYZER_ENABLED !== "false";
+
+const RISK_LEVELS = ["none", "low", "medium", "high"];
+
+/* ---------------------------------- Schema ---------------------------------- */
+// A small subset of JSON Schema: type (string or list), enum, properties,
+// required, items, minimum, maximum, maxLength
+export const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["topic", "intent", "emotionalState", "risk", "userContext", "goal"],
+  properties: {
+    topic: { type: "string", maxLength: 40 },
+    intent: { type: "string", maxLength: 40 },
+    emotionalState: {
+      type: "object",
+      required: ["label", "intensity"],
+      properties: {
+        label: { type: "string", maxLength: 40 },
+        intensity: { type: "number", minimum: 0, maximum: 1 }
+      }
+    },
+    risk: {
+      type: "object",
+      required: ["level", "markers"],
+      properties: {
+        level: { type: "string", enum: RISK_LEVELS },
+        markers: { type: "array", items: { type: "string", maxLength: 40 } }
+      }
+    },
+    userContext: {
+      type: "object",
+      required: ["phase", "week", "babyAge", "parity"],
+      properties: {
+        phase: { type: "string", enum: ["pregnancy", "postpartum", "unknown"] },
+        week: { type: ["number", "null"], minimum: 0, maximum: 45 },
+        babyAge: { type: ["string", "null"], maxLength: 40 },
+        parity: { type: "string", enum: ["first_baby", "multiple", "unknown"] }
+      }
+    },
+    goal: { type: "string", maxLength: 60 }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Returns a list of "path: problem" strings, empty when the value is valid
+export function validateAgainstSchema(value, schema, at = "analysis") {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (types.length && !types.includes(actual)) {
+    return [`${at}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  if (actual === "number") {
+    if (!Number.isFinite(value)) errors.push(`${at}: must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (actual === "string" && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${at}: longer than ${schema.maxLength} characters`);
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateAgainstSchema(value[key], sub, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/* ---------------------------------- Prompts --------------------------------- */
+function buildAnalyzerPrompt() {
+  return `
+You are an analyser for a perinatal support assistant.
+
+Your task is to read a single user message and output a JSON object with:
+- topic: short string (e.g. "newborn_sleep", "feeding", "pain", "bleeding", "emotions", "logistics", "general_info")
+- intent: short description of what the user is trying to do (e.g. "ask_if_normal", "describe_symptom", "seek_reassurance", "vent_emotion", "ask_for_steps")
+- emotionalState: {
+    "label": short word/phrase (e.g. "overwhelmed", "worried", "relieved", "neutral"),
+    "intensity": number from 0 to 1 (0=very calm, 1=extremely intense)
+  }
+- risk: {
+    "level": one of ["none","low","medium","high"],
+    "markers": list of short phrases describing possible danger signs (e.g. "heavy_bleeding","severe_pain","fever","suicidal_thoughts","baby_not_moving")
+  }
+- userContext: {
+    "phase": one of ["pregnancy","postpartum","unknown"],
+    "week": number or null,
+    "babyAge": short string or null (e.g. "newborn","2_months"),
+    "parity": one of ["first_baby","multiple","unknown"]
+  }
+- goal: short string describing the practical outcome the user seems to want (e.g. "understand_if_normal","help_baby_sleep","reduce_pain","feel_less_guilty","know_when_to_seek_care")
+
+Guidelines:
+- Be conservative with "high" risk. Only use "high" if there are clear danger signs.
+- If information is missing, use null or "unknown" rather than guessing wildly.
+- If the topic does not fit the perinatal space, set topic="other".
+- Emotional intensity should reflect how urgent or strong the message feels.
+- Placeholders like [NAME_1a2b3c] stand for personal details that were removed; ignore them.
+
+CRITICAL:
+- Output STRICT JSON ONLY.
+- Do not include explanations, comments, or markdown.
+  `.trim();
+}
+
+function buildUserPrompt(text, meta = {}) {
+  return JSON.stringify(
+    {
+      user_text: text,
+      meta: {
+        locale: meta.locale || "en-ZA",
+        localHour: meta.localHour ?? null
+      }
+    },
+    null,
+    2
+  );
+}
+
+/* ------------------------------ Parse & repair ------------------------------ */
+// Safely parse JSON, even if the model wraps it in extra text or code fences
+export function safeParseJson(raw) {
+  if (!raw) return null;
+  let txt = String(raw).trim();
+
+  const first = txt.indexOf("{");
+  const last = txt.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) {
+    txt = txt.slice(first, last + 1);
+  }
+
+  try {
+    const parsed = JSON.parse(txt);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+const slug = (v, max) =>
+  typeof v === "string" && v.trim()
+    ? v.trim().toLowerCase().replace(/[\s-]+/g, "_").replace(/[^\w]/g, "").slice(0, max) || null
+    : null;
+
+const pick = (v, allowed, fallback) => {
+  const s = slug(v, 40);
+  return allowed.includes(s) ? s : fallback;
+};
+
+const clamp01 = (v) => {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(1, Math.max(0, n > 1 && n <= 10 ? n / 10 : n)); // some models answer on a 0-10 scale
+};
+
+// Coerces a nearly-right object into the schema: normalises casing, clamps
+// numbers and fills gaps with "unknown"-style defaults. Returns null when the
+// core fields (topic and risk level) can't be recovered.
+export function repairAnalysis(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const emo = obj.emotionalState && typeof obj.emotionalState === "object" ? obj.emotionalState : {};
+  const risk = obj.risk && typeof obj.risk === "object" ? obj.risk : { level: obj.risk };
+  const ctx = obj.userContext && typeof obj.userContext === "object" ? obj.userContext : {};
+
+  const topic = slug(obj.topic, 40);
+  const level = pick(risk.level, RISK_LEVELS, null);
+  if (!topic || !level) return null;
+
+  const markers = [].concat(risk.markers || []).map(m => slug(m, 40)).filter(Boolean).slice(0, 8);
+  const week = Number(ctx.week);
+
+  return {
+    topic,
+    intent: slug(obj.intent, 40) || "unknown",
+    emotionalState: {
+      label: slug(emo.label, 40) || "neutral",
+      intensity: clamp01(emo.intensity) ?? 0
+    },
+    risk: { level, markers },
+    userContext: {
+      phase: pick(ctx.phase, ["pregnancy", "postpartum", "unknown"], "unknown"),
+      week: ctx.week !== null && ctx.week !== "" && Number.isFinite(week) && week >= 0 && week <= 45 ? Math.round(week) : null,
+      babyAge: slug(ctx.babyAge, 40),
+      parity: pick(ctx.parity, ["first_baby", "multiple", "unknown"], "unknown")
+    },
+    goal: slug(obj.goal, 60) || "unknown"
+  };
+}
+
+/* --------------------------------- Analyser --------------------------------- */
+// Resolves { analysis, attempts, repaired, errors } — analysis is null when the
+// model never produced anything usable. Only throws if `signal` aborts.
+export async function analyzeMessage(text, { signal, localHour = null } = {}) {
+  const messages = [
+    { role: "system", content: buildAnalyzerPrompt() },
+    { role: "user", content: buildUserPrompt(text, { locale: "en-ZA", localHour }) }
+  ];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let raw;
+    try {
+      ({ text: raw } = await llm.complete(
+        { messages, temperature: 0, max_tokens: 256, response_format: { type: "json_object" } },
+        { signal }
+      ));
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { analysis: null, attempts: attempt, repaired: false, errors: [err.message] };
+    }
+
+    const parsed = safeParseJson(raw);
+    errors = parsed ? validateAgainstSchema(parsed, ANALYSIS_SCHEMA) : ["output is not a JSON object"];
+    if (!errors.length) return { analysis: parsed, attempts: attempt, repaired: false, errors };
+
+    const repaired = repairAnalysis(parsed);
+    if (repaired && !validateAgainstSchema(repaired, ANALYSIS_SCHEMA).length) {
+      return { analysis: repaired, attempts: attempt, repaired: true, errors };
+    }
+
+    // Tell the model what was wrong and ask once more
+    messages.push(
+      { role: "assistant", content: String(raw || "").slice(0, 1000) },
+      {
+        role: "user",
+        content: `That output was not valid: ${errors.slice(0, 5).join("; ")}. Reply again with the corrected JSON object only.`
+      }
+    );
+  }
+
+  console.warn("Message analysis unusable, continuing without it:", errors.slice(0, 3).join("; "));
+  return { analysis: null, attempts: MAX_ATTEMPTS, repaired: false, errors };
+}
+
+/* ------------------------------ Using the result ---------------------------- */
+// Extra words for the KB query, so "he won't latch" also finds feeding passages
+export function retrievalTerms(analysis) {
+  if (!analysis || analysis.topic === "other") return "";
+  return [analysis.topic, ...analysis.risk.markers]
+    .filter(v => v && v !== "unknown" && v !== "general_info")
+    .join(" ")
+    .replace(/_/g, " ");
+}
+
+// One or two lines for the system prompt describing how to pitch the answer
+export function toneGuidance(analysis) {
+  if (!analysis) return "";
+  const { label, intensity } = analysis.emotionalState;
+  const lines = [];
+
+  if (intensity >= 0.7) {
+    lines.push(`The user seems ${label.replace(/_/g, " ")} and the feeling is strong. Start by acknowledging it in one sentence, ` +
+      "keep the answer especially short, and offer just one small next step.");
+  } else if (["vent_emotion", "seek_reassurance"].includes(analysis.intent)) {
+    lines.push("Focus on listening and reassurance more than on information.");
+  }
+  if (analysis.intent === "ask_for_steps") lines.push("They want practical steps: give 2–4 short, numbered steps.");
+  if (analysis.userContext.phase === "pregnancy" && analysis.userContext.week) {
+    lines.push(`They are about ${analysis.userContext.week} weeks pregnant.`);
+  } else if (analysis.userContext.phase === "postpartum" && analysis.userContext.babyAge) {
+    lines.push(`Their baby is ${analysis.userContext.babyAge.replace(/_/g, " ")} old.`);
+  }
+  return lines.join("\n");
+}
+
+// Merges the analyser's risk into the triage result. The model can raise the
+// level (never above "medium" on its own — fixed escalation messages stay rule-
+// driven) and add flags, but it can't lower what the rules found.
+export function combineRisk(triageResult, analysis) {
+  if (!analysis || analysis.risk.level === "none" || analysis.risk.level === "low") return triageResult;
+
+  const ruleLevel = RISK_LEVELS.indexOf(triageResult.level);
+  const modelLevel = Math.min(RISK_LEVELS.indexOf(analysis.risk.level), RISK_LEVELS.indexOf("medium"));
+  const markers = analysis.risk.markers.map(m => `analyzer:${m}`);
+
+  return {
+    ...triageResult,
+    level: RISK_LEVELS[Math.max(ruleLevel, modelLevel)] || triageResult.level,
+    flags: [...triageResult.flags, ...(markers.length ? markers : [`analyzer:${analysis.risk.level}_risk`])]
+  };
+}
+
+// Quick replies to offer under the answer, as i18n keys (shared/i18n.js). Picked
+// from the topic, then the intent; anything we can't read gets the safe default
+// set, which always includes when to go to the clinic.
+const FOLLOW_UPS_BY_TOPIC = {
+  newborn_sleep: ["followUpTonight", "followUpBabySleep", "followUpClinic"],
+  feeding: ["followUpEnoughMilk", "followUpLatch", "followUpClinic"],
+  pain: ["followUpNormal", "followUpPainAtHome", "followUpClinic"],
+  bleeding: ["followUpNormal", "followUpDangerSigns", "followUpClinic"],
+  emotions: ["followUpFeelingNormal", "followUpTalkTo", "followUpCalmer"],
+  logistics: ["followUpHospitalBag", "followUpClinic"]
+};
+const FOLLOW_UPS_BY_INTENT = {
+  ask_if_normal: "followUpClinic",
+  ask_for_steps: "followUpWhatElse",
+  seek_reassurance: "followUpTalkTo",
+  vent_emotion: "followUpTalkTo"
+};
+const DEFAULT_FOLLOW_UPS = ["followUpNormal", "followUpClinic", "followUpDangerSigns"];
+const MAX_FOLLOW_UPS = 3;
+
+export function followUps(analysis) {
+  const byTopic = analysis && FOLLOW_UPS_BY_TOPIC[analysis.topic];
+  if (!byTopic) return DEFAULT_FOLLOW_UPS;
+  const byIntent = FOLLOW_UPS_BY_INTENT[analysis.intent];
+  return [...new Set([...(byIntent ? [byIntent] : []), ...byTopic])].slice(0, MAX_FOLLOW_UPS);
+}
@@ -0,0 +1,192 @@
+// index.js — what the SMS, WhatsApp and USSD channels share: which chat session
+// a phone number belongs to, asking the chat pipeline, and fitting the answer
+// into short messages. The webhooks are ./messaging.js and ./ussd.js.
+//
+// Every answer goes through runChat() exactly like /api/kozani-chat, so triage,
+// the output filter and PII redaction apply unchanged. Phone numbers are never
+// stored: channels.json in SESSIONS_DIR maps a keyed hash of the number to the
+// session id and the language to answer in.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { runChat } from "../chat.js";
+import { detectLanguage, CONFIDENT } from "../language.js";
+import { SESSIONS_DIR, getSession, resetSession, deleteSession } from "../sessions.js";
+import { isSupportedLanguage } from "../../shared/i18n.js";
+
+const LINKS_PATH = path.join(SESSIONS_DIR, "channels.json");
+const KEY_PATH = path.join(SESSIONS_DIR, "channel-key");
+const MAX_CONTACTS = 4; // numbers listed under an urgent answer
+
+// Webhooks answer from (and can reset) the history of whatever number they name,
+// so they refuse unauthenticated requests. CHANNEL_ALLOW_UNSIGNED=true turns that
+// off for local runs with `npm run sim`; never set it on a public server.
+export const ALLOW_UNSIGNED = process.env.CHANNEL_ALLOW_UNSIGNED === "true";
+if (ALLOW_UNSIGNED) console.warn("CHANNEL_ALLOW_UNSIGNED is on: channel webhooks accept unauthenticated requests");
+
+// Constant-time string comparison for secrets and signatures
+export function sameSecret(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+/* ------------------------------ Phone -> session ----------------------------- */
+// "whatsapp:+27 82 123 4567", "0821234567", "27821234567" -> "+27821234567"
+export function normalizePhone(raw) {
+  const digits = String(raw || "").replace(/^whatsapp:/i, "").replace(/[^\d+]/g, "");
+  if (/^0\d{9}$/.test(digits)) return `+27${digits.slice(1)}`;
+  if (/^27\d{9}$/.test(digits)) return `+${digits}`;
+  return digits || null;
+}
+
+// CHANNEL_PHONE_KEY in production; for local runs a key is made once next to the sessions.
+// Losing it only means every number starts a new conversation.
+let phoneKey = null;
+function loadKey() {
+  if (phoneKey) return phoneKey;
+  if (process.env.CHANNEL_PHONE_KEY) return (phoneKey = process.env.CHANNEL_PHONE_KEY);
+  try {
+    phoneKey = fs.readFileSync(KEY_PATH, "utf8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    phoneKey = crypto.randomBytes(32).toString("hex");
+    fs.writeFileSync(KEY_PATH, phoneKey, { mode: 0o600 });
+  }
+  return phoneKey;
+}
+
+const phoneId = (phone) => crypto.createHmac("sha256", loadKey()).update(phone).digest("hex").slice(0, 32);
+
+function readLinks() {
+  try {
+    return JSON.parse(fs.readFileSync(LINKS_PATH, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+function writeLinks(links) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  const tmp = `${LINKS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(links));
+  fs.renameSync(tmp, LINKS_PATH);
+}
+
+// The live session id for this number, or null (unknown, or the session expired)
+export function sessionFor(phone) {
+  const link = readLinks()[phoneId(phone)];
+  return link && getSession(link.sessionId) ? link.sessionId : null;
+}
+
+function updateLink(phone, changes) {
+  const links = readLinks();
+  const key = phoneId(phone);
+  links[key] = { ...links[key], ...changes, updatedAt: new Date().toISOString() };
+  writeLinks(links);
+}
+
+// The language this number gets its answers and menus in, or null before we know
+export function languageFor(phone) {
+  const language = readLinks()[phoneId(phone)]?.language;
+  return isSupportedLanguage(language) ? language : null;
+}
+
+// From the USSD language menu. A chosen language sticks; a detected one
+// follows whatever she writes in.
+export function chooseLanguage(phone, language) {
+  if (!isSupportedLanguage(language)) return;
+  const link = readLinks()[phoneId(phone)];
+  if (link?.language !== language || !link.languageChosen) updateLink(phone, { language, languageChosen: true });
+}
+
+// "NEW": same session, empty history
+export function startOver(phone) {
+  const id = sessionFor(phone);
+  if (id) resetSession(id);
+}
+
+// "DELETE": the session and the link to it are gone
+export function forgetPhone(phone) {
+  const links = readLinks();
+  const key = phoneId(phone);
+  if (links[key]) deleteSession(links[key].sessionId);
+  delete links[key];
+  writeLinks(links);
+}
+
+/* ---------------------------------- Asking ----------------------------------- */
+// One chat turn for `phone` on `channel` ("sms" | "whatsapp" | "ussd"). Returns
+// the answer as plain text. Urgent contacts go above it, so the numbers are on
+// the first SMS part or USSD screen.
+export async function askKozani({ phone, text, channel }, { signal } = {}) {
+  const link = readLinks()[phoneId(phone)] || {};
+  const sessionId = getSession(link.sessionId) ? link.sessionId : null;
+
+  let language = isSupportedLanguage(link.language) ? link.language : null;
+  if (!link.languageChosen) {
+    const detected = detectLanguage(text);
+    // "ok" or "thanks" keeps whatever the number was using
+    if (detected.confidence >= CONFIDENT) language = detected.code;
+  }
+
+  const { body } = await runChat({ query: text, sessionId, client: channel, language: language || "auto" }, { signal });
+  // runChat starts a session when there was none (or it expired)
+  const changes = {};
+  if (body.sessionId && body.sessionId !== sessionId) Object.assign(changes, { sessionId: body.sessionId, channel });
+  if (language && language !== link.language) changes.language = language;
+  if (Object.keys(changes).length) updateLink(phone, changes);
+  return [...contactLines(body.contacts), body.answer].join("\n");
+}
+
+function contactLines(contacts = []) {
+  return contacts
+    .filter(c => c.phone || c.ussd)
+    .slice(0, MAX_CONTACTS)
+    .map(c => `${c.name}: ${c.phone || c.ussd}`);
+}
+
+/* --------------------------------- Fitting ----------------------------------- */
+// Plain SMS and USSD use the GSM 7-bit alphabet; one character outside it turns
+// the whole message into UCS-2 and cuts a part from 160 characters to 70
+const GSM_CHARS =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞ ÆæßÉ!\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM_SWAPS = { "‘": "'", "’": "'", "“": "\"", "”": "\"", "–": "-", "—": "-", "…": "...", "•": "-", "\u00a0": " " };
+
+export function toGsm(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    if (GSM_CHARS.includes(ch)) out += ch;
+    else if (GSM_SWAPS[ch]) out += GSM_SWAPS[ch];
+    else {
+      const plain = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, ""); // ê -> e
+      if (plain !== ch && [...plain].every(c => GSM_CHARS.includes(c))) out += plain;
+      // anything else (emoji, symbols) is dropped
+    }
+  }
+  return out.replace(/ {2,}/g, " ").trim();
+}
+
+// Splits `text` into parts of at most `max` characters, breaking after a
+// sentence where possible, then a space. Parts are numbered " (1/3)" when
+// there is more than one.
+export function splitMessage(text, max) {
+  const clean = String(text || "").trim();
+  if (clean.length <= max) return [clean];
+
+  const room = max - 8; // " (12/12)"
+  const parts = [];
+  let rest = clean;
+  while (rest.length > room) {
+    const window = rest.slice(0, room + 1);
+    let cut = Math.max(...[". ", "! ", "? ", "\n"].map(end => window.lastIndexOf(end) + 1));
+    if (cut < room / 3) cut = window.lastIndexOf(" ");
+    if (cut <= 0) cut = room;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts.map((p, i) => `${p} (${i + 1}/${parts.length})`);
+}
@@ -0,0 +1,86 @@
+// messaging.js — SMS and WhatsApp through a Twilio-style webhook
+//
+// Twilio posts each incoming message as a form (From, To, Body, NumMedia, ...);
+// "whatsapp:" in front of From means WhatsApp. We answer with TwiML, one
+// <Message> per part, and Twilio sends them in order. A few keywords are
+// handled here instead of by the chat: NEW (or RESET) starts over, DELETE erases
+// the conversation, HELP explains. STOP is left to Twilio's own opt-out.
+// Replies are in the language her messages are written in (see askKozani), and
+// in English until we know it.
+//
+// The reply waits for the chat pipeline, which has to finish inside Twilio's
+// 15-second webhook timeout; if providers get slower than that, reply empty and
+// send the answer through the REST API instead.
+import crypto from "node:crypto";
+import { normalizePhone, askKozani, startOver, forgetPhone, languageFor, splitMessage, toGsm, ALLOW_UNSIGNED, sameSecret } from "./index.js";
+import { DEFAULT_LANGUAGE, t } from "../../shared/i18n.js";
+
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || "";
+const SMS_MAX = Number(process.env.CHANNEL_SMS_MAX || 160);   // one GSM segment
+const WHATSAPP_MAX = 1600;                                      // Twilio's WhatsApp body limit
+
+/* -------------------------------- Signature ---------------------------------- */
+// X-Twilio-Signature: base64 HMAC-SHA1 of the webhook URL followed by every
+// form field (sorted by name) as name+value, keyed with the auth token
+export function twilioSignature(url, params, token = AUTH_TOKEN) {
+  const data = Object.keys(params).sort().reduce((s, k) => s + k + params[k], url);
+  return crypto.createHmac("sha1", token).update(data).digest("base64");
+}
+
+const validSignature = (url, params, signature) => sameSecret(signature, twilioSignature(url, params));
+
+/* ---------------------------------- TwiML ------------------------------------ */
+const xmlEscape = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+function twiml(messages) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<Response>' +
+    messages.map(m => `<Message>${xmlEscape(m)}</Message>`).join("") +
+    "</Response>";
+}
+
+/* --------------------------------- Pipeline ---------------------------------- */
+// (form fields, { url, signature }) -> { status, body } with body as TwiML.
+// `url` is the public webhook URL Twilio signed. Without TWILIO_AUTH_TOKEN
+// every request is refused, unless CHANNEL_ALLOW_UNSIGNED is on.
+export async function runMessaging(params = {}, { url, signature } = {}) {
+  if (!AUTH_TOKEN && !ALLOW_UNSIGNED) {
+    console.warn("Channel webhook: refused a request because TWILIO_AUTH_TOKEN is not set");
+    return { status: 503, body: twiml([]) };
+  }
+  if (AUTH_TOKEN && !validSignature(url, params, signature)) {
+    console.warn("Channel webhook: rejected a request with a bad Twilio signature");
+    return { status: 403, body: twiml([]) };
+  }
+
+  const phone = normalizePhone(params.From);
+  if (!phone) return { status: 400, body: twiml([]) };
+  const channel = /^whatsapp:/i.test(params.From) ? "whatsapp" : "sms";
+  const text = String(params.Body || "").trim();
+  const keyword = text.toUpperCase();
+  const say = (key) => t(languageFor(phone) || DEFAULT_LANGUAGE, key);
+
+  let reply;
+  if (!text) {
+    reply = say(Number(params.NumMedia) > 0 ? "channelTextOnly" : "channelHelp");
+  } else if (keyword === "NEW" || keyword === "RESET") {
+    startOver(phone);
+    reply = say("channelReset");
+  } else if (keyword === "DELETE") {
+    reply = say("channelForgotten"); // before the language goes with the rest
+    forgetPhone(phone);
+  } else if (keyword === "HELP") {
+    reply = say("channelHelp");
+  } else {
+    try {
+      reply = await askKozani({ phone, text, channel });
+    } catch (err) {
+      console.error("Channel webhook error:", err.message);
+      reply = say("backendError");
+    }
+  }
+
+  // Twilio wants a 200 even when we had trouble, or the user hears nothing
+  const parts = channel === "sms" ? splitMessage(toGsm(reply), SMS_MAX) : splitMessage(reply, WHATSAPP_MAX);
+  return { status: 200, body: twiml(parts) };
+}
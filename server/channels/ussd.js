@@ -0,0 +1,150 @@
+// ussd.js — a USSD menu for feature phones, Africa's Talking style
+//
+// The gateway posts sessionId, serviceCode, phoneNumber and `text`: everything
+// typed since dialling, joined with "*" ("" on the first screen, then "1",
+// "1*my question", "1*my question*0" ...). We reply with plain text starting
+// "CON " (show this and wait for input) or "END " (show this and hang up).
+//
+//   1  Ask a question    -> the chat pipeline, same session as SMS/WhatsApp
+//   2  Emergency numbers -> national urgent_care numbers from the directory
+//   3  Danger signs      -> a fixed list
+//   4  Language          -> menus and answers in the chosen language from now on;
+//                           only listed once another language has every screen
+//                           translated (SCREEN_KEYS), as the rest would stay English
+//
+// Africa's Talking doesn't sign its requests, so the callback URL carries a
+// shared secret (?key=CHANNEL_USSD_SECRET) and/or requests must come from an
+// address in CHANNEL_USSD_ALLOWED_IPS. With neither set the webhook is off,
+// unless CHANNEL_ALLOW_UNSIGNED is on.
+//
+// Screens hold about 182 characters, so longer text is paged with "0. More".
+// Chat answers are kept per USSD session for the paging, as each "0" arrives
+// as a new request carrying the same text plus "*0".
+import { normalizePhone, askKozani, languageFor, chooseLanguage, splitMessage, toGsm, ALLOW_UNSIGNED, sameSecret } from "./index.js";
+import { lookupContacts } from "../directory.js";
+import { DEFAULT_LANGUAGE, LANGUAGES, isTranslated, t } from "../../shared/i18n.js";
+
+const SCREEN_MAX = 182;
+const MORE = "0";
+// Gateways hang up on slow replies, usually after 10–20 seconds
+const ANSWER_TIMEOUT_MS = Number(process.env.CHANNEL_USSD_TIMEOUT_MS || 8000);
+const ANSWER_TTL_MS = 5 * 60 * 1000;
+const SECRET = process.env.CHANNEL_USSD_SECRET || "";
+const ALLOWED_IPS = (process.env.CHANNEL_USSD_ALLOWED_IPS || "").split(",").map(s => s.trim()).filter(Boolean);
+
+const answers = new Map(); // USSD sessionId -> { question, pages, expires }
+const SCREEN_KEYS = [
+  "ussdMenu", "ussdAsk", "ussdMore", "ussdInvalid", "ussdSlow",
+  "dangerSignsList", "toolUrgent", "emptyQuery", "backendError", "languageLabel"
+];
+const LANGUAGE_CODES = Object.keys(LANGUAGES).filter(code => SCREEN_KEYS.every(key => isTranslated(code, key)));
+const OFFER_LANGUAGES = LANGUAGE_CODES.length > 1;
+
+const moreLine = (language) => `\n${MORE}. ${t(language, "ussdMore")}`;
+const screen = (type, text) => ({ status: 200, body: `${type} ${toGsm(text)}` });
+
+// Screen `index` of `pages`, with "0. More" on every page but the last
+function page(pages, index, language) {
+  if (index >= pages.length) return screen("END", t(language, "ussdInvalid"));
+  return index === pages.length - 1
+    ? screen("END", pages[index])
+    : screen("CON", pages[index] + moreLine(language));
+}
+
+const pagesOf = (text, language) =>
+  splitMessage(toGsm(text), SCREEN_MAX - "CON ".length - toGsm(moreLine(language)).length);
+
+const mainMenu = (language) => t(language, "ussdMenu") + (OFFER_LANGUAGES ? `\n4. ${t(language, "languageLabel")}` : "");
+
+const languageMenu = (language) =>
+  [t(language, "languageLabel"), ...LANGUAGE_CODES.map((code, i) => `${i + 1}. ${LANGUAGES[code].native}`)].join("\n");
+
+function emergencyText(language) {
+  try {
+    const { contacts } = lookupContacts({ need: "urgent_care" });
+    return contacts.filter(c => c.phone).map(c => `${c.name}: ${c.phone}`).join("\n");
+  } catch (err) {
+    console.error("Contact directory unavailable:", err.message);
+    return t(language, "toolUrgent");
+  }
+}
+
+// The secret and the address list are each checked when set; at least one must be
+function authorised({ key, ip }) {
+  if (!SECRET && !ALLOWED_IPS.length) return ALLOW_UNSIGNED;
+  if (SECRET && !sameSecret(key, SECRET)) return false;
+  const addr = String(ip || "").replace(/^::ffff:/, "");
+  return !ALLOWED_IPS.length || ALLOWED_IPS.includes(addr);
+}
+
+/* --------------------------------- Pipeline ---------------------------------- */
+// (form fields, { key, ip }) -> { status, body } with body as "CON ..." or "END ...".
+// `key` is the ?key= of the callback URL, `ip` the caller's address.
+export async function runUssd(params = {}, { key, ip } = {}) {
+  if (!authorised({ key, ip })) {
+    console.warn("USSD webhook: refused an unauthenticated request");
+    return { status: 403, body: "END" };
+  }
+
+  const ussdSession = String(params.sessionId || "").slice(0, 100);
+  const phone = normalizePhone(params.phoneNumber);
+  if (!ussdSession || !phone) return { status: 400, body: "END" };
+
+  const now = Date.now();
+  for (const [id, entry] of answers) if (entry.expires < now) answers.delete(id);
+
+  let steps = params.text ? String(params.text).split("*") : [];
+  let language = languageFor(phone) || DEFAULT_LANGUAGE;
+  const say = (key) => t(language, key);
+
+  // 4 -> language list; the choice is remembered for the number and the main
+  // menu comes back in that language, so the text goes on "4*2*1*..."
+  if (steps[0] === "4" && OFFER_LANGUAGES) {
+    if (steps.length === 1) return screen("CON", languageMenu(language));
+    const code = LANGUAGE_CODES[Number(steps[1]) - 1];
+    if (!code) return screen("END", say("ussdInvalid"));
+    chooseLanguage(phone, code);
+    language = code;
+    steps = steps.slice(2);
+  }
+  const [choice, ...rest] = steps;
+  if (!choice) return screen("CON", mainMenu(language));
+
+  // Everything after the first input must be "0. More"
+  const more = (steps) => (steps.every(s => s === MORE) ? steps.length : -1);
+
+  if (choice === "2" || choice === "3") {
+    const index = more(rest);
+    if (index < 0) return screen("END", say("ussdInvalid"));
+    return page(pagesOf(choice === "2" ? emergencyText(language) : say("dangerSignsList"), language), index, language);
+  }
+
+  if (choice !== "1") return screen("END", say("ussdInvalid"));
+  if (!rest.length) return screen("CON", say("ussdAsk"));
+
+  // The question may itself contain "*", so it is everything after the "1".
+  // Once answered, what follows the question must be "0"s for the next pages.
+  const asked = rest.join("*");
+  const cached = answers.get(ussdSession);
+  if (cached && asked.startsWith(`${cached.question}*`)) {
+    const index = more(asked.slice(cached.question.length + 1).split("*"));
+    return index < 0 ? screen("END", say("ussdInvalid")) : page(cached.pages, index, language);
+  }
+
+  const question = asked.trim();
+  if (!question) return screen("END", say("emptyQuery"));
+
+  let answer;
+  const signal = AbortSignal.timeout(ANSWER_TIMEOUT_MS);
+  try {
+    answer = await askKozani({ phone, text: question, channel: "ussd" }, { signal });
+  } catch (err) {
+    console.error("USSD answer failed:", err.message);
+    return screen("END", say(signal.aborted ? "ussdSlow" : "backendError"));
+  }
+  // askKozani may have picked up her language from the question
+  const answerLanguage = languageFor(phone) || DEFAULT_LANGUAGE;
+  const pages = pagesOf(answer, answerLanguage);
+  answers.set(ussdSession, { question: asked, pages, expires: now + ANSWER_TTL_MS });
+  return page(pages, 0, answerLanguage);
+}
@@ -0,0 +1,377 @@
+// chat.js — the /api/kozani-chat pipeline, shared by the JSON and streaming routes
+import "dotenv/config";
+import * as llm from "./providers/index.js";
+import { triage, escalationMessage, isUrgent } from "./triage.js";
+import { guardCompletion, createStreamingGuard } from "../shared/outputFilter.js";
+import { retrieve } from "./kb.js";
+import { buildSources } from "./citations.js";
+import { createSession, getSession, appendTurn, historyMessages, setSessionState } from "./sessions.js";
+import { redactPII, restorePII, piiSummary } from "./pii.js";
+import { detectLanguage, CONFIDENT } from "./language.js";
+import { ANALYZER_ENABLED, analyzeMessage, combineRisk, retrievalTerms, toneGuidance, followUps } from "./analyzer.js";
+import { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, t } from "../shared/i18n.js";
+import { normalizeProfile, profileStage, profilePrompt } from "../shared/profile.js";
+import { lookupContacts } from "./directory.js";
+import { screeningOffer, screeningPrompt } from "./epds.js";
+import { visitSchedule, scheduleText } from "../shared/visits.js";
+import { suggestTool, evaluateTool } from "../shared/tools.js";
+
+const KB_TOP_K = Number(process.env.KB_TOP_K || 3);
+
+// "/visits" or "/visits 2027-03-14" (a due date) lists the antenatal visits
+const VISITS_COMMAND = /^\/visits\b\s*(\d{4}-\d{2}-\d{2})?\s*$/i;
+
+function buildSystemPrompt({ grounding, triageResult, tone, language, profile, screening, tool }) {
+  const toolNote = tool && `She has just used Kozani's ${tool.tool.replace(/_/g, " ")}. ${tool.summary} ` +
+    "Explain in plain words what this means and what she should do next.";
+  const about = [profilePrompt(profile), screening, toolNote].filter(Boolean).join("\n");
+  const warnings = triageResult.flags.map(f => f.replace(/^analyzer:/, "").replace(/_/g, " "));
+
+  return `
+You are Kozani, an empathetic perinatal companion for expectant and new mothers,
+especially in under-resourced settings.
+
+Your goals:
+- Listen with warmth and respect.
+- Reflect their feelings back gently.
+- Offer clear, simple, practical guidance.
+- Encourage seeking professional help when needed.
+- Never judge, shame, or blame.
+
+Safety rules:
+- DO NOT diagnose or prescribe medication.
+- DO NOT give exact doses or treatment plans.
+- DO NOT contradict local healthcare professionals.
+- If there is any sign of danger (severe pain, heavy bleeding, trouble breathing, thoughts of self-harm),
+  clearly advise the user to seek urgent medical help or visit a clinic/hospital as soon as possible.
+
+Keep responses:
+- Short (4–7 sentences).
+- In plain, simple language.
+- Emotionally validating.
+
+Use this trusted information as background context when relevant (but do not quote it word-for-word):
+
+${grounding}
+${warnings.length ? `
+The user's message mentions possible warning signs (${[...new Set(warnings)].join(", ")}).
+Acknowledge this calmly and clearly advise them to get checked at a clinic today.` : ""}
+${about ? `
+${about}` : ""}
+${tone ? `
+About this message:
+${tone}` : ""}
+${language !== "en" ? `
+Always reply in ${LANGUAGES[language].name}, using simple everyday words a mother would use at home.
+Keep clinic, hospital and phone number details exactly as they are.` : ""}
+  `.trim();
+}
+
+// Tap-to-call numbers for an urgent answer
+function urgentContacts(triageResult) {
+  try {
+    return lookupContacts({ need: triageResult.messageId }).contacts;
+  } catch (err) {
+    console.error("Contact directory unavailable:", err.message);
+    return [];
+  }
+}
+
+// Folds older session messages into a short running summary
+async function summarizeHistory(messages, previousSummary) {
+  const transcript = messages
+    .map(m => `${m.role === "user" ? "Mother" : "Kozani"}: ${m.content}`)
+    .join("\n");
+
+  const { text: summary } = await llm.complete({
+    temperature: 0.2,
+    max_tokens: 250,
+    messages: [
+      {
+        role: "system",
+        content:
+          "Summarise this conversation between a mother and Kozani, a perinatal companion, in under 120 words. " +
+          "Keep facts that matter for later answers: pregnancy week or baby age, symptoms and worries mentioned, " +
+          "advice already given, and how she is feeling. Plain text only."
+      },
+      {
+        role: "user",
+        content: previousSummary ? `Earlier summary:\n${previousSummary}\n\nNewer messages:\n${transcript}` : transcript
+      }
+    ]
+  });
+
+  if (!summary) throw new Error("empty summary");
+  return summary;
+}
+
+// Saving history must never cost the user their answer
+async function recordTurn(sessionId, query, answer) {
+  try {
+    await appendTurn(sessionId, query, answer, { summarize: summarizeHistory });
+  } catch (err) {
+    console.error("Could not save session turn:", err.message);
+  }
+}
+
+// Runs one chat turn and returns { status, body } where body is the usual
+// { answer, sources, safety, meta, sessionId }. With `onToken`, the answer is
+// streamed (sentence by sentence, after the output filter) as it is generated;
+// `signal` aborts the model call when the client goes away.
+export async function runChat(input, { onToken, signal } = {}) {
+  let triageResult = null;
+  const requestedLanguage = isSupportedLanguage(input?.language) ? input.language : "auto";
+  let language = requestedLanguage === "auto" ? DEFAULT_LANGUAGE : requestedLanguage;
+
+  try {
+    const { query: rawQuery, snippets = [], client, includeAnalysis = false } = input || {};
+
+    // Checked before anything reads it as text (detectLanguage, the /visits match)
+    if (!rawQuery || typeof rawQuery !== "string") {
+      return {
+        status: 400,
+        body: {
+          answer: t(language, "emptyQuery"),
+          safety: { ok: false, flags: [rawQuery ? "invalid_query" : "empty_query"] },
+          meta: { model: "none" }
+        }
+      };
+    }
+
+    // Client snippets are joined into the grounding as { text, title?, url? }
+    if (!Array.isArray(snippets) || !snippets.every(s => typeof s?.text === "string")) {
+      return {
+        status: 400,
+        body: {
+          answer: t(language, "backendError"),
+          safety: { ok: false, flags: ["invalid_snippets"] },
+          meta: { model: "none" }
+        }
+      };
+    }
+
+    // Personal details never leave the server: the LLM, the KB and the session
+    // store (which is also what gets logged) only ever see placeholders
+    const { text: query, entities: piiEntities } = redactPII(rawQuery);
+
+    // A missing or expired `sessionId` starts a new session
+    const session = (input.sessionId && getSession(input.sessionId)) || createSession();
+
+    // `language` is a supported code or "auto" (the default). An explicit choice
+    // from the language picker wins; otherwise reply in the detected language, or
+    // the one this session was using when detection is unsure
+    const detected = detectLanguage(rawQuery);
+    if (requestedLanguage === "auto") {
+      const previous = isSupportedLanguage(session.state?.language) ? session.state.language : DEFAULT_LANGUAGE;
+      language = detected.confidence >= CONFIDENT ? detected.code : previous;
+    }
+    if (session.state?.language !== language) setSessionState(session.id, { language });
+    const languageMeta = { language, requestedLanguage, detectedLanguage: detected.code, detectionConfidence: detected.confidence };
+
+    // { dueDate, babyBirthDate, firstBaby, conditions } tailors the answer to her
+    // stage; used for this message only and never stored in the session
+    const profile = normalizeProfile(input.profile);
+
+    // Answered from the visit schedule without the model; the schedule itself goes in `visits`
+    const command = rawQuery.trim().match(VISITS_COMMAND);
+    if (command) {
+      const schedule = visitSchedule({ dueDate: command[1] || profile?.dueDate });
+      return {
+        status: 200,
+        body: {
+          answer: schedule ? scheduleText(schedule) : t(language, "visitsNeedDueDate"),
+          sessionId: session.id,
+          sources: [],
+          visits: schedule,
+          safety: { ok: true, flags: [] },
+          meta: { model: "none", provider: "command", command: "visits", ...languageMeta, client }
+        }
+      };
+    }
+
+    // 0) Deterministic triage runs first, so danger signs are caught even if the model is down
+    triageResult = triage(rawQuery);
+
+    // A kick counter or contraction timer reading past its threshold gets the
+    // same urgent answer and contacts as a triage red flag; it comes back in `tool`
+    const stage = profileStage(profile);
+    const tool = evaluateTool(input.toolResult, { week: stage?.phase === "pregnancy" ? stage.week : null });
+    if (tool?.urgent) {
+      triageResult = {
+        ...triageResult,
+        level: "high",
+        flags: [...triageResult.flags, tool.flag],
+        messageId: isUrgent(triageResult) ? triageResult.messageId : tool.messageId
+      };
+    }
+
+    // Names a tool worth opening for questions about movements or contractions
+    const toolSuggestion = tool ? null : suggestTool(rawQuery);
+
+    const safety = {
+      ok: triageResult.flags.length === 0,
+      flags: triageResult.flags,
+      risk: triageResult.level,
+      rulesVersion: triageResult.rulesVersion
+    };
+
+    if (isUrgent(triageResult)) {
+      const answer = escalationMessage(triageResult, language);
+      await recordTurn(session.id, query, answer);
+      return {
+        status: 200,
+        body: {
+          answer,
+          sessionId: session.id,
+          sources: [],
+          contacts: urgentContacts(triageResult), // emergency numbers and helplines
+          ...(tool && { tool }),
+          safety: { ...safety, escalated: true },
+          meta: {
+            model: "none",
+            provider: "triage",
+            grounded: false,
+            ...languageMeta,
+            client,
+            pii: piiSummary(piiEntities)
+          }
+        }
+      };
+    }
+
+    // 1) Analyser pass: topic/intent/emotion/risk as validated JSON. It can add
+    //    warning flags and steer tone and retrieval; if it fails we carry on without it.
+    const analyzed = ANALYZER_ENABLED
+      ? await analyzeMessage(query, { signal, localHour: Number.isInteger(input.localHour) ? input.localHour : null })
+      : { analysis: null, attempts: 0, repaired: false, errors: [] };
+    const { analysis } = analyzed;
+
+    // While her messages stay strongly emotional, `screeningOffer: "epds"` asks the
+    // client to offer the EPDS check-in, once per session
+    const { offer, state: screeningState } = screeningOffer(session.state, analysis);
+    setSessionState(session.id, screeningState);
+
+    triageResult = combineRisk(triageResult, analysis);
+    safety.ok = triageResult.flags.length === 0;
+    safety.flags = triageResult.flags;
+    safety.risk = triageResult.level;
+
+    // 2) Build grounding text from client snippets + top passages from the local KB
+    let kbChunks = [];
+    try {
+      const terms = retrievalTerms(analysis);
+      kbChunks = retrieve(terms ? `${query} ${terms}` : query, { k: KB_TOP_K });
+    } catch (err) {
+      console.error("KB retrieval failed, continuing without it:", err.message);
+    }
+    const passages = [...snippets, ...kbChunks];
+    const grounding = passages.map(s => s.text).join("\n\n");
+
+    // 3) System prompt: Kozani’s voice + rules
+    const systemPrompt = buildSystemPrompt({ grounding, triageResult, tone: toneGuidance(analysis), language, profile, screening: screeningPrompt(session.state), tool });
+    const baseMessages = [
+      { role: "system", content: systemPrompt },
+      ...historyMessages(session),
+      { role: "user", content: query }
+    ];
+
+    // 4) Call the LLM (providers tried in order, see config/llm.json). Every
+    //    completion goes through the output filter (doses, drugs, diagnoses), which
+    //    may redact it, ask for one regeneration, or swap in a safe fallback.
+    //    Streamed answers are filtered sentence by sentence instead.
+    let guarded;
+    let generation; // { provider, model, attempts } of whoever actually answered
+    const filterText = { fallback: t(language, "safeFallback"), note: t(language, "redactionNote") };
+    if (onToken) {
+      const guard = createStreamingGuard((text) => onToken(restorePII(text, piiEntities)), filterText);
+      generation = await llm.stream({ messages: baseMessages }, { signal, onDelta: (d) => guard.push(d) });
+      guarded = guard.finish();
+    } else {
+      guarded = await guardCompletion(async (extraInstruction) => {
+        const messages = extraInstruction
+          ? [...baseMessages, { role: "system", content: extraInstruction }]
+          : baseMessages;
+
+        generation = await llm.complete({ messages }, { signal });
+        return generation.text || t(language, "backendError");
+      }, filterText);
+    }
+
+    const answer = restorePII(guarded.answer, piiEntities);
+    if (guarded.flags.length) {
+      safety.ok = false;
+      safety.flags = [...safety.flags, ...guarded.flags];
+    }
+
+    // 5) Reply (sources only when the answer survived the filter intact)
+    const sources = guarded.meta.action === "fallback" ? [] : buildSources(passages);
+    await recordTurn(session.id, query, guarded.answer); // redacted versions only
+
+    return {
+      status: 200,
+      body: {
+        answer,
+        sessionId: session.id,
+        sources,
+        suggestions: followUps(analysis).map(key => t(language, key)), // quick-reply chips
+        ...(tool && { tool }),
+        ...(toolSuggestion && { toolSuggestion }),
+        ...(offer && { screeningOffer: "epds" }),
+        safety,
+        meta: {
+          model: generation.model,
+          provider: generation.provider,
+          providerAttempts: generation.attempts,
+          grounded: snippets.length + kbChunks.length > 0,
+          retrieval: kbChunks.map(({ id, sourceId, title, url, score }) => ({ id, sourceId, title, url, score })),
+          ...languageMeta,
+          client,
+          streamed: Boolean(onToken),
+          pii: piiSummary(piiEntities),
+          outputFilter: guarded.meta,
+          profile: profile ? { stage, firstBaby: profile.firstBaby, conditions: profile.conditions.length } : null,
+          ...(includeAnalysis && { // the analyser's reading of the message, on request
+            analysis: {
+              result: analysis,
+              attempts: analyzed.attempts,
+              repaired: analyzed.repaired,
+              errors: analyzed.errors
+            }
+          })
+        }
+      }
+    };
+  } catch (err) {
+    if (signal?.aborted) throw err; // client is gone, nobody to answer
+    console.error("Kozani /api/kozani-chat error:", err);
+
+    // Model failed but triage found warning signs: still give the reviewed advice
+    const fallback = triageResult && escalationMessage(triageResult, language);
+    if (fallback) {
+      return {
+        status: 200,
+        body: {
+          answer: fallback,
+          ...(isUrgent(triageResult) && { contacts: urgentContacts(triageResult) }),
+          safety: {
+            ok: false,
+            flags: [...triageResult.flags, "backend_error"],
+            risk: triageResult.level,
+            rulesVersion: triageResult.rulesVersion,
+            escalated: true
+          },
+          meta: { model: "none", provider: "triage", language }
+        }
+      };
+    }
+
+    return {
+      status: 500,
+      body: {
+        answer: t(language, "backendError"),
+        safety: { ok: false, flags: ["backend_error"] },
+        meta: { model: "none" }
+      }
+    };
+  }
+}
@@ -0,0 +1,36 @@
+// citations.js — turn the passages that grounded an answer into a `sources` list
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+// passages: client snippets ({ text, title?, url?, retrievedAt? }) and KB chunks
+// ({ id, title, url, retrievedAt }). One source per URL (or title when there is
+// no URL), keeping the ids of the passages that came from it.
+export function buildSources(passages) {
+  const byKey = new Map();
+
+  passages.forEach((p, i) => {
+    if (!p || (!p.url && !p.title)) return;
+    const key = p.url || `title:${p.title}`;
+    const passageId = p.id || `snippet-${i}`;
+
+    if (byKey.has(key)) {
+      byKey.get(key).passages.push(passageId);
+      return;
+    }
+    byKey.set(key, {
+      title: p.title || domainOf(p.url) || "Source",
+      url: p.url || null,
+      domain: p.url ? domainOf(p.url) : null,
+      retrievedAt: p.retrievedAt || null,
+      passages: [passageId]
+    });
+  });
+
+  return [...byKey.values()];
+}
@@ -0,0 +1,90 @@
+// directory.js — national emergency numbers and helplines (data/directory.json)
+//
+// Served by /api/directory and as the `contacts` block on urgent chat answers.
+// The file is re-read when its mtime changes, like the triage rules.
+//
+// A helpline is only served once someone has called it and set `lastVerified`;
+// the emergency short codes (type "emergency") are the exception. Provincial
+// facilities were dropped until their numbers can be checked the same way.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DIRECTORY_PATH =
+  process.env.DIRECTORY_PATH || path.join(__dirname, "..", "data", "directory.json");
+
+const TYPE_ORDER = { emergency: 0, helpline: 1, info: 2 };
+
+/* --------------------------------- Loading ---------------------------------- */
+let loaded = null; // { mtimeMs, version, contacts }
+
+function compile(raw) {
+  if (!raw || !Array.isArray(raw.contacts)) throw new Error("directory file has no `contacts` array");
+  for (const c of raw.contacts) {
+    if (!c.id || !c.name || !(c.type in TYPE_ORDER)) throw new Error(`contact is missing id/name/type: ${JSON.stringify(c)}`);
+    if (!c.phone && !c.ussd) throw new Error(`contact ${c.id} has no phone or USSD code`);
+    if (c.type !== "emergency" && !/^\d{4}-\d{2}-\d{2}$/.test(c.lastVerified || "")) {
+      throw new Error(`contact ${c.id} needs lastVerified (YYYY-MM-DD): call the number before adding it`);
+    }
+  }
+  return { version: raw.version || "unversioned", contacts: raw.contacts };
+}
+
+export function loadDirectory() {
+  let stat;
+  try {
+    stat = fs.statSync(DIRECTORY_PATH);
+  } catch (err) {
+    if (loaded) return loaded;
+    throw new Error(`Contact directory not found at ${DIRECTORY_PATH}`);
+  }
+  if (loaded && loaded.mtimeMs === stat.mtimeMs) return loaded;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(DIRECTORY_PATH, "utf8"));
+    loaded = { mtimeMs: stat.mtimeMs, ...compile(raw) };
+    console.log(`Contact directory loaded (version ${loaded.version}, ${loaded.contacts.length} contacts)`);
+  } catch (err) {
+    if (!loaded) throw err;
+    console.error("Contact directory reload failed, keeping previous version:", err.message);
+  }
+  return loaded;
+}
+
+/* --------------------------------- Lookup ----------------------------------- */
+// "0800 567 567" -> "tel:+27800567567"; short codes (10177, 112) are dialled as they are
+export function telUri(phone) {
+  const digits = String(phone || "").replace(/[^\d+]/g, "");
+  if (!digits) return null;
+  if (/^0\d{9}$/.test(digits)) return `tel:+27${digits.slice(1)}`;
+  return `tel:${digits}`;
+}
+
+function toCard(c) {
+  return {
+    id: c.id,
+    type: c.type,
+    name: c.name,
+    phone: c.phone || null,
+    tel: telUri(c.phone),
+    sms: c.sms || null,
+    ussd: c.ussd || null,
+    hours: c.hours || null,
+    note: c.note || null,
+    lastVerified: c.lastVerified || null
+  };
+}
+
+// Contacts to show, most useful first, for `need` (a triage message id such as
+// "urgent_care"). Without `need`, all of them.
+export function lookupContacts({ need } = {}) {
+  const { version, contacts } = loadDirectory();
+  const picked = contacts
+    .filter(c => !need || c.needs?.includes(need))
+    .sort((a, b) => TYPE_ORDER[a.type] - TYPE_ORDER[b.type]);
+  // the mental health lines matter more than the ambulance number in a crisis
+  if (need === "mental_health_crisis") picked.sort((a, b) => (a.type === "helpline" ? -1 : 0) - (b.type === "helpline" ? -1 : 0));
+  return { version, contacts: picked.map(toCard) };
+}
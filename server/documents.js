@@ -0,0 +1,147 @@
+// documents.js — text extraction for PDF and DOCX guidelines fetched by /api/fetch
+//
+// Both extractors return { title, fullText, document } where fullText carries
+// plain-text markers the chat side can cite: "[Page 3]" before each PDF page and
+// "## Heading" for DOCX headings. `document` is the metadata we could find.
+import { JSDOM } from "jsdom";
+import mammoth from "mammoth";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+const PDF_MAX_PAGES = Number(process.env.PDF_MAX_PAGES || 200);
+
+const DOCX_TYPES = [
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+];
+
+// "pdf", "docx", "html" or null (unsupported)
+export function detectFormat(contentType, url) {
+  const ctype = String(contentType || "").toLowerCase();
+  let pathname = "";
+  try { pathname = new URL(url).pathname.toLowerCase(); } catch { /* keep empty */ }
+
+  if (ctype.includes("application/pdf") || pathname.endsWith(".pdf")) return "pdf";
+  if (DOCX_TYPES.some(t => ctype.includes(t)) || pathname.endsWith(".docx")) return "docx";
+  if (ctype.includes("text/html") || ctype.includes("application/xhtml+xml")) return "html";
+  // some servers send documents as a generic binary download
+  if (ctype.includes("application/octet-stream") && /\.(pdf|docx)$/.test(pathname)) return pathname.slice(-4).replace(".", "");
+  return null;
+}
+
+function fileTitle(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+    return name.replace(/\.(pdf|docx)$/i, "").replace(/[_-]+/g, " ").trim() || null;
+  } catch { return null; }
+}
+
+// Word/Acrobat often leave titles like "Microsoft Word - draft3.doc" or "untitled"
+function usableTitle(t) {
+  const s = String(t || "").replace(/^microsoft (word|powerpoint) - /i, "").trim();
+  if (!s || /^(untitled|document\d*|slide \d+)$/i.test(s) || /\.(docx?|pdf|indd)$/i.test(s)) return null;
+  return s;
+}
+
+// PDF dates look like D:20240312101500+02'00'
+function pdfDate(raw) {
+  const m = /^D?:?(\d{4})(\d{2})?(\d{2})?/.exec(String(raw || ""));
+  if (!m) return null;
+  return `${m[1]}-${m[2] || "01"}-${m[3] || "01"}`;
+}
+
+/* ----------------------------------- PDF ------------------------------------ */
+export async function extractPdf(buffer, url) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+    const pageCount = Math.min(pdf.numPages, PDF_MAX_PAGES);
+    const pages = [];
+    let headline = null; // largest text on page 1, a decent title guess
+
+    for (let n = 1; n <= pageCount; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      let text = "";
+      let lastY = null;
+
+      for (const item of content.items) {
+        if (typeof item.str !== "string") continue;
+        const y = item.transform?.[5];
+        if (lastY !== null && y !== undefined && Math.abs(y - lastY) > 2 && !text.endsWith("\n")) text += "\n";
+        text += item.str;
+        if (item.hasEOL) text += "\n";
+        if (y !== undefined) lastY = y;
+
+        const size = Math.abs(item.transform?.[3] || 0);
+        if (n === 1 && item.str.trim().length > 3 && (!headline || size > headline.size)) {
+          headline = { text: item.str.trim(), size };
+        }
+      }
+
+      page.cleanup();
+      text = text.replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+      if (text) pages.push(`[Page ${n}]\n${text}`);
+    }
+
+    return {
+      title: usableTitle(info.Title) || headline?.text || fileTitle(url) || "Untitled",
+      fullText: pages.join("\n\n"),
+      document: {
+        format: "pdf",
+        pages: pdf.numPages,
+        pagesExtracted: pageCount,
+        author: info.Author || null,
+        subject: info.Subject || null,
+        createdAt: pdfDate(info.CreationDate),
+        modifiedAt: pdfDate(info.ModDate)
+      }
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/* ----------------------------------- DOCX ----------------------------------- */
+export async function extractDocx(buffer, url) {
+  const { value: html } = await mammoth.convertToHtml(
+    { buffer: Buffer.from(buffer) },
+    { styleMap: ["p[style-name='Title'] => h1.doc-title:fresh"] }
+  );
+
+  const { document } = new JSDOM(`<body>${html}</body>`).window;
+  const blocks = [];
+  const sections = [];
+  let title = document.querySelector("h1.doc-title")?.textContent.trim() || null;
+
+  for (const el of document.body.children) {
+    const text = el.textContent.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+
+    if (/^H[1-6]$/.test(el.tagName)) {
+      if (!title) title = text;
+      sections.push(text);
+      blocks.push(`## ${text}`);
+    } else if (el.tagName === "UL" || el.tagName === "OL") {
+      el.querySelectorAll("li").forEach(li => blocks.push(`- ${li.textContent.replace(/\s+/g, " ").trim()}`));
+    } else if (el.tagName === "TABLE") {
+      el.querySelectorAll("tr").forEach(tr => {
+        const cells = [...tr.children].map(td => td.textContent.replace(/\s+/g, " ").trim());
+        if (cells.some(Boolean)) blocks.push(cells.join(" | "));
+      });
+    } else {
+      blocks.push(text);
+    }
+  }
+
+  return {
+    title: usableTitle(title) || fileTitle(url) || "Untitled",
+    fullText: blocks.join("\n\n"),
+    document: { format: "docx", sections: sections.length, headings: sections.slice(0, 50) }
+  };
+}
@@ -0,0 +1,225 @@
+// epds.js — the Edinburgh Postnatal Depression Scale as a guided check-in
+//
+// Ten questions about the past seven days, asked one at a time. The client
+// sends back the option index for each question answered so far and we reply
+// with the next question, or with the score once all ten are in. Scoring is
+// a fixed table, never the model. Any answer other than "Never" to question 10
+// (thoughts of self-harm) is treated like the suicidal_thoughts triage rule.
+//
+// Cox, J.L., Holden, J.M. & Sagovsky, R. (1987) Detection of postnatal
+// depression: development of the 10-item Edinburgh Postnatal Depression Scale.
+// British Journal of Psychiatry 150:782-786. The scale may be reproduced
+// without permission as long as this citation is kept.
+import { escalationMessage } from "./triage.js";
+import { lookupContacts } from "./directory.js";
+import { getSession, setSessionState } from "./sessions.js";
+import { DEFAULT_LANGUAGE, isSupportedLanguage, t } from "../shared/i18n.js";
+
+export const EPDS_VERSION = "epds-1987";
+const MAX_SCORE = 30;
+
+// Common South African cut-offs: 10–12 possible depression, 13+ likely
+const POSSIBLE_FROM = Number(process.env.EPDS_POSSIBLE_FROM || 10);
+const LIKELY_FROM = Number(process.env.EPDS_LIKELY_FROM || 13);
+
+// Offer the check-in after this many strongly emotional messages in a row
+const OFFER_AFTER = Number(process.env.EPDS_OFFER_AFTER || 2);
+const STRONG_INTENSITY = 0.7;
+const CALM_FEELINGS = ["neutral", "calm", "happy", "excited", "grateful", "hopeful", "relieved", "content", "joyful"];
+
+/* ---------------------------------- Items ----------------------------------- */
+// `scores` follow the option order; items 3 and 5–10 are reverse-scored.
+// Only add a language here from a validated translation of the EPDS (published
+// isiZulu, isiXhosa, Sesotho, Setswana and Afrikaans versions exist) — the
+// scale's wording is what makes the score mean anything. Others fall back to English.
+const ITEMS = [
+  {
+    scores: [0, 1, 2, 3],
+    en: ["I have been able to laugh and see the funny side of things",
+      ["As much as I always could", "Not quite so much now", "Definitely not so much now", "Not at all"]]
+  },
+  {
+    scores: [0, 1, 2, 3],
+    en: ["I have looked forward with enjoyment to things",
+      ["As much as I ever did", "Rather less than I used to", "Definitely less than I used to", "Hardly at all"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["I have blamed myself unnecessarily when things went wrong",
+      ["Yes, most of the time", "Yes, some of the time", "Not very often", "No, never"]]
+  },
+  {
+    scores: [0, 1, 2, 3],
+    en: ["I have been anxious or worried for no good reason",
+      ["No, not at all", "Hardly ever", "Yes, sometimes", "Yes, very often"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["I have felt scared or panicky for no very good reason",
+      ["Yes, quite a lot", "Yes, sometimes", "No, not much", "No, not at all"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["Things have been getting on top of me",
+      ["Yes, most of the time I haven't been able to cope at all",
+        "Yes, sometimes I haven't been coping as well as usual",
+        "No, most of the time I have coped quite well",
+        "No, I have been coping as well as ever"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["I have been so unhappy that I have had difficulty sleeping",
+      ["Yes, most of the time", "Yes, sometimes", "Not very often", "No, not at all"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["I have felt sad or miserable",
+      ["Yes, most of the time", "Yes, quite often", "Not very often", "No, not at all"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["I have been so unhappy that I have been crying",
+      ["Yes, most of the time", "Yes, quite often", "Only occasionally", "No, never"]]
+  },
+  {
+    scores: [3, 2, 1, 0],
+    en: ["The thought of harming myself has occurred to me",
+      ["Yes, quite often", "Sometimes", "Hardly ever", "Never"]]
+  }
+];
+
+const SELF_HARM_ITEM = 9;
+
+function wording(item, language) {
+  const [question, options] = item[language] || item.en;
+  return { question, options };
+}
+
+/* --------------------------------- Scoring ---------------------------------- */
+// answers: option index (0–3) per item, in order. Returns
+// { score, maxScore, band: "low" | "possible" | "likely", selfHarm, items }
+export function scoreEpds(answers, language = DEFAULT_LANGUAGE) {
+  const items = ITEMS.map((item, i) => {
+    const { question, options } = wording(item, language);
+    return { number: i + 1, question, answer: options[answers[i]], score: item.scores[answers[i]] };
+  });
+  const score = items.reduce((sum, item) => sum + item.score, 0);
+  const band = score >= LIKELY_FROM ? "likely" : score >= POSSIBLE_FROM ? "possible" : "low";
+  return { score, maxScore: MAX_SCORE, band, selfHarm: items[SELF_HARM_ITEM].score > 0, items };
+}
+
+// Error message for a bad `answers` list, or null
+function checkAnswers(answers) {
+  if (!Array.isArray(answers)) return "`answers` must be an array of option numbers";
+  if (answers.length > ITEMS.length) return `There are only ${ITEMS.length} questions`;
+  const bad = answers.findIndex(a => !Number.isInteger(a) || a < 0 || a > 3);
+  return bad === -1 ? null : `Answer ${bad + 1} must be 0, 1, 2 or 3`;
+}
+
+/* ---------------------------------- Offer ----------------------------------- */
+// Whether to offer the check-in after this chat message, from the analyser's
+// reading and the session's running count. Returns { offer, state } where
+// `state` is what to save back onto the session.
+export function screeningOffer(sessionState = {}, analysis) {
+  const feeling = analysis?.emotionalState;
+  const strong = Boolean(feeling) && feeling.intensity >= STRONG_INTENSITY && !CALM_FEELINGS.includes(feeling.label);
+  const streak = strong ? (sessionState.strongFeelings || 0) + 1 : 0;
+  const offer = streak >= OFFER_AFTER && !sessionState.epdsOfferedAt && !sessionState.epds;
+
+  return {
+    offer,
+    state: { strongFeelings: streak, ...(offer && { epdsOfferedAt: new Date().toISOString() }) }
+  };
+}
+
+// One line for the chat prompt once she has done the check-in in this session
+export function screeningPrompt(sessionState) {
+  const epds = sessionState?.epds;
+  if (!epds) return "";
+  return `Earlier in this conversation she completed the Edinburgh Postnatal Depression Scale check-in ` +
+    `(score ${epds.score} of ${MAX_SCORE}, ${epds.band === "low" ? "below the cut-off" : `${epds.band} depression`}). ` +
+    "Don't repeat the score unless she asks; if she talks about how she feels, gently encourage her to share the result with her clinic.";
+}
+
+/* --------------------------------- Pipeline --------------------------------- */
+// { answers, language, sessionId } -> { status, body }.
+// Unfinished: body is { done: false, step, of, intro?, question, options }.
+// Finished: { done: true, answer, contacts, result, safety }, and the result is
+// noted on the session so later chat answers know about it.
+export function runEpds(input) {
+  const language = isSupportedLanguage(input?.language) ? input.language : DEFAULT_LANGUAGE;
+  const answers = input?.answers ?? [];
+
+  const problem = checkAnswers(answers);
+  if (problem) return { status: 400, body: { error: problem } };
+
+  if (answers.length < ITEMS.length) {
+    const step = answers.length + 1;
+    return {
+      status: 200,
+      body: {
+        done: false,
+        step,
+        of: ITEMS.length,
+        ...(step === 1 && { intro: t(language, "epdsIntro") }),
+        ...wording(ITEMS[answers.length], language)
+      }
+    };
+  }
+
+  const result = scoreEpds(answers, language);
+
+  let answer;
+  let contacts = [];
+  let risk = "none";
+  if (result.selfHarm) {
+    answer = escalationMessage({ messageId: "mental_health_crisis" }, language) || t(language, "epdsResultLikely");
+    contacts = findContacts();
+    risk = "high";
+  } else if (result.band === "likely") {
+    answer = t(language, "epdsResultLikely");
+    // the answer points to "the numbers below", so without a helpline in the
+    // directory she still gets the crisis numbers
+    const crisis = findContacts();
+    const helplines = crisis.filter(c => c.type === "helpline");
+    contacts = helplines.length ? helplines : crisis;
+    risk = "medium";
+  } else {
+    answer = t(language, result.band === "possible" ? "epdsResultPossible" : "epdsResultLow");
+  }
+
+  const session = input.sessionId && getSession(input.sessionId);
+  if (session) {
+    setSessionState(session.id, {
+      epds: { score: result.score, band: result.band, selfHarm: result.selfHarm, at: new Date().toISOString() }
+    });
+  }
+
+  return {
+    status: 200,
+    body: {
+      done: true,
+      answer,
+      contacts,
+      result: {
+        id: "epds",
+        version: EPDS_VERSION,
+        ...result,
+        summary: t(language, "epdsSummary")
+          .replace("{score}", result.score)
+          .replace("{max}", MAX_SCORE)
+          .replace("{item10}", result.items[SELF_HARM_ITEM].score)
+      },
+      safety: { ok: risk === "none", flags: result.selfHarm ? ["epds_self_harm"] : [], risk, escalated: risk !== "none" }
+    }
+  };
+}
+
+function findContacts() {
+  try {
+    return lookupContacts({ need: "mental_health_crisis" }).contacts;
+  } catch (err) {
+    console.error("Contact directory unavailable:", err.message);
+    return [];
+  }
+}
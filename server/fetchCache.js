@@ -0,0 +1,190 @@
+// fetchCache.js — on-disk cache of extracted articles for /api/fetch
+//
+// One JSON file per page (title + full extracted text) plus index.json holding
+// validators and timestamps. Entries younger than the TTL are served as-is;
+// older ones are revalidated upstream with If-None-Match / If-Modified-Since.
+// When the cache grows past its size or entry limits, the least recently used
+// pages are dropped first.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FETCH_CACHE_DIR =
+  process.env.FETCH_CACHE_DIR || path.join(__dirname, "..", "data", "fetch-cache");
+
+const TTL_MS = Number(process.env.FETCH_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_BYTES = Number(process.env.FETCH_CACHE_MAX_MB || 50) * 1024 * 1024;
+const MAX_ENTRIES = Number(process.env.FETCH_CACHE_MAX_ENTRIES || 2000);
+
+const INDEX_FILE = path.join(FETCH_CACHE_DIR, "index.json");
+
+// Query parameters that only track clicks and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i;
+
+/* ---------------------------------- Keys ------------------------------------ */
+// Same page, same key: lower-case host, no default port or fragment, no
+// tracking parameters, remaining parameters sorted
+export function normalizeUrl(raw) {
+  const u = new URL(raw);
+  u.hash = "";
+  for (const name of [...u.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(name)) u.searchParams.delete(name);
+  }
+  u.searchParams.sort();
+  return u.toString();
+}
+
+const fileFor = (key) =>
+  path.join(FETCH_CACHE_DIR, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+/* ---------------------------------- Index ----------------------------------- */
+// key -> { file, bytes, fetchedAt, validatedAt, accessedAt, etag, lastModified }
+let index = new Map();
+let saveTimer = null;
+let version = 0; // bumped whenever pages are added or dropped (see cacheVersion)
+
+function loadIndex() {
+  try {
+    index = new Map(Object.entries(JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"))));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Fetch cache index unreadable, starting empty:", err.message);
+    index = new Map();
+  }
+}
+
+function writeAtomic(file, data) {
+  fs.mkdirSync(FETCH_CACHE_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+// Access times change on every hit, so index writes are batched
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      writeAtomic(INDEX_FILE, JSON.stringify(Object.fromEntries(index)));
+    } catch (err) {
+      console.error("Could not save fetch cache index:", err.message);
+    }
+  }, 1000);
+  saveTimer.unref();
+}
+
+function remove(key) {
+  const entry = index.get(key);
+  if (!entry) return;
+  index.delete(key);
+  version++;
+  fs.rm(path.join(FETCH_CACHE_DIR, entry.file), { force: true }, () => {});
+}
+
+function evict() {
+  let bytes = 0;
+  for (const e of index.values()) bytes += e.bytes;
+  if (bytes <= MAX_BYTES && index.size <= MAX_ENTRIES) return;
+
+  const oldestFirst = [...index.entries()].sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+  for (const [key, e] of oldestFirst) {
+    if (bytes <= MAX_BYTES && index.size <= MAX_ENTRIES) break;
+    bytes -= e.bytes;
+    remove(key);
+  }
+}
+
+loadIndex();
+
+/* ---------------------------------- API ------------------------------------- */
+// Returns { article: { url, title, fullText }, fresh, etag, lastModified, fetchedAt }
+// or null. `fresh` is false once the TTL has passed (revalidate before serving).
+export function getCached(key) {
+  const entry = index.get(key);
+  if (!entry) return null;
+
+  let article;
+  try {
+    article = JSON.parse(fs.readFileSync(path.join(FETCH_CACHE_DIR, entry.file), "utf8"));
+  } catch {
+    remove(key); // file went missing or is corrupt
+    scheduleSave();
+    return null;
+  }
+
+  entry.accessedAt = Date.now();
+  scheduleSave();
+  return {
+    article,
+    fresh: Date.now() - entry.validatedAt < TTL_MS,
+    etag: entry.etag,
+    lastModified: entry.lastModified,
+    fetchedAt: new Date(entry.fetchedAt).toISOString()
+  };
+}
+
+export function putCached(key, article, { etag, lastModified } = {}) {
+  const data = JSON.stringify(article);
+  const file = fileFor(key);
+  const bytes = Buffer.byteLength(data);
+  if (bytes > MAX_BYTES) return; // never worth evicting everything for one page
+
+  try {
+    writeAtomic(file, data);
+  } catch (err) {
+    console.error("Could not write fetch cache entry:", err.message);
+    return;
+  }
+  const now = Date.now();
+  index.set(key, {
+    file: path.basename(file),
+    bytes,
+    fetchedAt: now,
+    validatedAt: now,
+    accessedAt: now,
+    etag: etag || null,
+    lastModified: lastModified || null
+  });
+  version++;
+  evict();
+  scheduleSave();
+}
+
+// Upstream answered 304: the cached copy is good for another TTL
+export function markRevalidated(key) {
+  const entry = index.get(key);
+  if (!entry) return;
+  entry.validatedAt = Date.now();
+  scheduleSave();
+}
+
+/* ------------------------- Read-only access for search ---------------------- */
+// Lets the local search index (./search/local.js) rebuild only when pages change
+export function cacheVersion() {
+  return version;
+}
+
+// [{ key, fetchedAt, lastModified }] for every cached page
+export function listCached() {
+  return [...index.entries()].map(([key, e]) => ({ key, fetchedAt: e.fetchedAt, lastModified: e.lastModified }));
+}
+
+// Like getCached but without counting as a use for eviction
+export function peekCached(key) {
+  const entry = index.get(key);
+  if (!entry) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(FETCH_CACHE_DIR, entry.file), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export function cacheStats() {
+  let bytes = 0;
+  for (const e of index.values()) bytes += e.bytes;
+  return { entries: index.size, bytes, maxBytes: MAX_BYTES, ttlHours: TTL_MS / 3_600_000 };
+}
@@ -0,0 +1,88 @@
+// fetchQueue.js — bounded, fair work queue for /api/fetch
+//
+// At most `concurrency` jobs run at once. Extra jobs wait instead of being
+// refused: each client has its own FIFO line and clients are served round-robin,
+// so one busy tab can't starve everybody else. Jobs for a key that is already
+// queued or running are merged onto that job's promise.
+
+export function createFetchQueue({ concurrency = 2, maxQueued = 50, maxPerClient = 10, maxWaitMs = 20000 } = {}) {
+  const lines = new Map();    // clientId -> [job], insertion order = round-robin order
+  const byKey = new Map();    // key -> promise, while queued or running
+  let active = 0;
+  let queued = 0;
+
+  function start(job) {
+    active++;
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  function next() {
+    while (active < concurrency && queued > 0) {
+      // oldest job of the client at the front, then that client goes to the back
+      const [clientId, jobs] = lines.entries().next().value;
+      const job = jobs.shift();
+      lines.delete(clientId);
+      if (jobs.length) lines.set(clientId, jobs);
+      queued--;
+      clearTimeout(job.timer);
+      start(job);
+    }
+  }
+
+  function drop(job) {
+    const jobs = lines.get(job.clientId);
+    const i = jobs ? jobs.indexOf(job) : -1;
+    if (i === -1) return false;
+    jobs.splice(i, 1);
+    if (!jobs.length) lines.delete(job.clientId);
+    queued--;
+    return true;
+  }
+
+  // Resolves { value, merged } with whatever `task` resolves. Rejects with
+  // status 429 when the queue (or this client's share of it) is full, and 503
+  // when the job waited longer than maxWaitMs.
+  function run(clientId, key, task) {
+    const existing = byKey.get(key);
+    if (existing) return existing.then(value => ({ value, merged: true }));
+
+    let promise;
+    if (active < concurrency) {
+      promise = new Promise((resolve, reject) => start({ task, resolve, reject }));
+    } else {
+      if (queued >= maxQueued) {
+        return Promise.reject(Object.assign(new Error("Fetcher is busy, please try again"), { status: 429 }));
+      }
+      if ((lines.get(clientId)?.length || 0) >= maxPerClient) {
+        return Promise.reject(Object.assign(new Error("Too many pending fetches from this client"), { status: 429 }));
+      }
+
+      promise = new Promise((resolve, reject) => {
+        const job = { clientId, task, resolve, reject };
+        job.timer = setTimeout(() => {
+          if (drop(job)) reject(Object.assign(new Error("Timed out waiting for a free fetcher"), { status: 503 }));
+        }, maxWaitMs);
+        if (!lines.has(clientId)) lines.set(clientId, []);
+        lines.get(clientId).push(job);
+        queued++;
+      });
+    }
+
+    byKey.set(key, promise);
+    const forget = () => { if (byKey.get(key) === promise) byKey.delete(key); };
+    promise.then(forget, forget);
+    return promise.then(value => ({ value, merged: false }));
+  }
+
+  function stats() {
+    return { active, queued, clients: lines.size, concurrency, maxQueued };
+  }
+
+  return { run, stats };
+}
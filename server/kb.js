@@ -0,0 +1,235 @@
+// kb.js — local knowledge base: curated documents, chunking and a BM25 index on disk
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const KB_DIR = process.env.KB_DIR || path.join(__dirname, "..", "data", "kb");
+const DOCS_PATH = path.join(KB_DIR, "documents.json");
+const INDEX_PATH = path.join(KB_DIR, "index.json");
+
+const CHUNK_CHARS = Number(process.env.KB_CHUNK_CHARS || 900);
+const CHUNK_OVERLAP = Number(process.env.KB_CHUNK_OVERLAP || 150);
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set((
+  "a an and are as at be been but by can do does for from had has have how i if in into is it its " +
+  "me my no not of on or our she so that the their them then there these they this to was we were " +
+  "what when which who will with you your"
+).split(" "));
+
+/* ------------------------------- Disk helpers ------------------------------- */
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file then rename, so a crash never leaves half an index behind
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function loadDocuments() {
+  return readJson(DOCS_PATH, { documents: [] });
+}
+
+export function sourceIdFor({ url, title }) {
+  return crypto.createHash("sha1").update(url || title || "").digest("hex").slice(0, 12);
+}
+
+/* ---------------------------- Text processing ------------------------------ */
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().normalize("NFKD").match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Paragraph-aware chunking with a small overlap; offsets point into the source text.
+export function chunkText(text, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP } = {}) {
+  const src = String(text || "");
+  const chunks = [];
+  let start = 0;
+
+  while (start < src.length) {
+    let end = Math.min(start + size, src.length);
+    if (end < src.length) {
+      // prefer to cut at a paragraph, then a sentence, then a space
+      const window = src.slice(start, end);
+      const cut = Math.max(window.lastIndexOf("\n\n"), window.lastIndexOf(". "), window.lastIndexOf("\n"));
+      if (cut > size * 0.5) end = start + cut + 1;
+      else {
+        const sp = window.lastIndexOf(" ");
+        if (sp > size * 0.5) end = start + sp;
+      }
+    }
+    const body = src.slice(start, end).trim();
+    if (body) chunks.push({ start, end, text: body });
+    if (end >= src.length) break;
+    // start the overlap on a word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const sp = src.indexOf(" ", next);
+    if (sp !== -1 && sp < end) next = sp + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+/* ------------------------------ Sources (CRUD) ------------------------------ */
+// doc: { title, url?, text, origin? } — origin is e.g. "fetch" or "file"
+export function addDocument(doc) {
+  const text = String(doc.text || "").trim();
+  if (!text) throw new Error("Document has no text");
+
+  const store = loadDocuments();
+  const id = sourceIdFor(doc);
+  const record = {
+    id,
+    title: doc.title || "Untitled",
+    url: doc.url || null,
+    origin: doc.origin || "manual",
+    addedAt: new Date().toISOString(),
+    charCount: text.length,
+    text
+  };
+
+  const i = store.documents.findIndex(d => d.id === id);
+  if (i >= 0) store.documents[i] = record;
+  else store.documents.push(record);
+
+  writeJson(DOCS_PATH, store);
+  return record;
+}
+
+export function removeDocument(id) {
+  const store = loadDocuments();
+  const before = store.documents.length;
+  store.documents = store.documents.filter(d => d.id !== id);
+  writeJson(DOCS_PATH, store);
+  return store.documents.length < before;
+}
+
+export function listSources() {
+  const index = readJson(INDEX_PATH, null);
+  const counts = {};
+  for (const c of index?.chunks || []) counts[c.sourceId] = (counts[c.sourceId] || 0) + 1;
+
+  return loadDocuments().documents.map(({ text, ...rest }) => ({
+    ...rest,
+    chunks: counts[rest.id] || 0
+  }));
+}
+
+/* ---------------------------------- BM25 ------------------------------------ */
+// Shared with the local search provider (./search/local.js).
+// { tf: { term: count }, len } for one chunk or page
+export function termCounts(text) {
+  const tf = Object.create(null); // no inherited keys to collide with terms
+  const tokens = tokenize(text);
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  return { tf, len: tokens.length };
+}
+
+// Counts loaded from JSON are plain objects, so "constructor" must not count as a term
+const countOf = (counts, t) => (Object.hasOwn(counts, t) ? counts[t] : 0);
+
+// BM25 score of one document ({ tf, len }) for the query `terms`, given the
+// collection's { N, df, avgdl } (df as { term: documents containing it })
+export function bm25Score(terms, { tf, len }, { N, df, avgdl, k1 = BM25_K1, b = BM25_B }) {
+  let score = 0;
+  for (const t of terms) {
+    const f = countOf(tf, t);
+    if (!f) continue;
+    const n = countOf(df, t);
+    const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+    score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * len / (avgdl || 1)));
+  }
+  return score;
+}
+
+/* --------------------------------- Indexing --------------------------------- */
+export function reindex() {
+  const { documents } = loadDocuments();
+  const chunks = [];
+  const df = Object.create(null);
+
+  for (const doc of documents) {
+    chunkText(doc.text).forEach((c, n) => {
+      const { tf, len } = termCounts(c.text);
+      for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+
+      chunks.push({
+        id: `${doc.id}#${n}`,
+        sourceId: doc.id,
+        title: doc.title,
+        url: doc.url,
+        retrievedAt: doc.addedAt,
+        start: c.start,
+        end: c.end,
+        text: c.text,
+        len,
+        tf
+      });
+    });
+  }
+
+  const avgdl = chunks.length ? chunks.reduce((s, c) => s + c.len, 0) / chunks.length : 0;
+  const index = { builtAt: new Date().toISOString(), k1: BM25_K1, b: BM25_B, avgdl, df, chunks };
+  writeJson(INDEX_PATH, index);
+  cachedIndex = null;
+  return { documents: documents.length, chunks: chunks.length };
+}
+
+/* --------------------------------- Retrieval -------------------------------- */
+let cachedIndex = null; // { mtimeMs, index }
+
+function loadIndex() {
+  let stat;
+  try {
+    stat = fs.statSync(INDEX_PATH);
+  } catch {
+    return null; // nothing indexed yet
+  }
+  if (cachedIndex && cachedIndex.mtimeMs === stat.mtimeMs) return cachedIndex.index;
+  cachedIndex = { mtimeMs: stat.mtimeMs, index: readJson(INDEX_PATH, null) };
+  return cachedIndex.index;
+}
+
+// Top-k BM25 passages for a query: [{ id, sourceId, title, url, retrievedAt, text, score, start, end }]
+export function retrieve(query, { k = 3, minScore = 0.5 } = {}) {
+  const index = loadIndex();
+  if (!index || !index.chunks.length) return [];
+
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const stats = { N: index.chunks.length, df: index.df, avgdl: index.avgdl, k1: index.k1, b: index.b };
+  const scored = [];
+  for (const c of index.chunks) {
+    const score = bm25Score(terms, c, stats);
+    if (score >= minScore) scored.push({ c, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ c, score }) => ({
+      id: c.id,
+      sourceId: c.sourceId,
+      title: c.title,
+      url: c.url,
+      retrievedAt: c.retrievedAt || null,
+      text: c.text,
+      start: c.start,
+      end: c.end,
+      score: Number(score.toFixed(3))
+    }));
+}
@@ -0,0 +1,62 @@
+// language.js — lightweight language detection for the languages Kozani serves
+//
+// Scores common function words and greetings per language. Short messages
+// ("hi", "ok") don't carry enough signal, so below MIN_SCORE or on a tie we
+// report the default language with low confidence rather than guess.
+import { DEFAULT_LANGUAGE } from "../shared/i18n.js";
+
+const MIN_SCORE = 1;
+// Below this a detection is a guess ("go to sleep" scores as Setswana), so
+// callers keep the language they were already using
+export const CONFIDENT = 0.5;
+
+const MARKERS = {
+  en: "i im i'm the is are my baby and to feel feeling what how not it she he have has with this that pregnant when can should",
+  zu: "ngi ngiya ngicela ngiyabonga sawubona ukuthi kakhulu yini ingane futhi manje angazi kanjani impela uma ngoba " +
+      "lapho kodwa ngifuna angikwazi ngizizwa ukhulelwe isisu ubuhlungu umtholampilo",
+  xh: "ndi ndiya ndicela enkosi molo molweni ukuba kakhulu umntwana usana njani ngoku kwaye andazi nceda kodwa " +
+      "ndifuna andikwazi ndiziva ukhulelwe isisu intlungu ikliniki",
+  st: "ke ka ho ntho hantle haholo ngwana dumela leboha jwang hore kopo hona jwale ha ke ya le tsa tse " +
+      "moimana mpa bohloko tleliniki ngaka",
+  tn: "ke go thata ngwana dumela leboga jang gore tsweetswee jaanong sentle ga ke ya le tsa tse " +
+      "moimana mpa botlhoko kliniki ngaka",
+  af: "ek is die nie baie my baba jy het wat hoe dankie asseblief voel maar swanger kan moet ook sy hy pyn kliniek"
+};
+
+// Nguni/Sotho-Tswana words are agglutinative, so prefixes help a lot
+const PREFIXES = {
+  zu: [/^ngi/, /^angi/, /^uku/, /^umtho/],
+  xh: [/^ndi/, /^andi/, /^uku/, /^kwi/],
+  st: [/^tle/, /^ho$/, /^hw/],
+  tn: [/^go$/, /^tsw/, /^jaa/]
+};
+
+const MARKER_SETS = Object.fromEntries(
+  Object.entries(MARKERS).map(([lang, words]) => [lang, new Set(words.split(/\s+/))])
+);
+
+// Returns { code, confidence (0..1), scores }
+export function detectLanguage(text) {
+  const tokens = String(text || "").toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(MARKERS).map(l => [l, 0]));
+
+  for (const tok of tokens) {
+    for (const [lang, set] of Object.entries(MARKER_SETS)) {
+      if (set.has(tok)) scores[lang] += 1;
+    }
+    for (const [lang, res] of Object.entries(PREFIXES)) {
+      if (res.some(re => re.test(tok))) scores[lang] += 0.5;
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const runnerUp = ranked[1][1];
+
+  if (bestScore < MIN_SCORE || bestScore === runnerUp) {
+    return { code: DEFAULT_LANGUAGE, confidence: 0.2, scores };
+  }
+  // a clear lead on several words is worth more than one lucky word
+  const confidence = Math.min(1, ((bestScore - runnerUp) / bestScore) * Math.min(1, bestScore / 3) + 0.2);
+  return { code: best, confidence: Number(confidence.toFixed(2)), scores };
+}
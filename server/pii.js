@@ -0,0 +1,155 @@
+// pii.js — redact personal details before user text leaves our server
+//
+// Phone numbers, SA ID numbers, emails, street addresses, clinic/hospital names
+// and people's names are swapped for placeholders like [PHONE_3fa2c1]. The
+// suffix is a keyed hash of the value, so the same number or name gets the same
+// placeholder in every turn of a conversation (history stays coherent) without
+// us having to store the real value anywhere.
+import crypto from "node:crypto";
+
+// Set PII_HASH_SECRET to keep placeholders stable across restarts
+const SECRET = process.env.PII_HASH_SECRET || crypto.randomBytes(16).toString("hex");
+
+/* --------------------------------- Detectors -------------------------------- */
+const ID_RE = /\b\d{6}\s?\d{4}\s?\d{2}\s?\d\b/g;                           // SA ID: YYMMDD SSSS C A Z
+const PHONE_RE = /(?:\+27|\b0027|\b27|\b0)[\s-]?\(?\d{2}\)?[\s-]?\d{3}[\s-]?\d{4}\b/g;
+const EMAIL_RE = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+const ADDRESS_RE =
+  /\b\d{1,5}[a-z]?\s+(?:[A-Za-z][\w'-]*\s+){1,3}(?:street|st|road|rd|avenue|ave|drive|lane|crescent|close|way|place|lokasie)\b\.?|\b(?:stand|erf|house)\s+(?:no\.?\s*|number\s+)?\d{1,6}\b/gi;
+const FACILITY_RE =
+  /\b([A-Za-z][\w'-]*(?:\s+[A-Za-z][\w'-]*){0,2})\s+(clinic|hospital|chc|community health cent(?:re|er)|day hospital|mou)\b/gi;
+
+// Words that make "… clinic" generic rather than a named facility
+const GENERIC_FACILITY_WORDS = new Set((
+  "a an the to at from in of for my our your his her their this that same other another nearest nearby local " +
+  "public private government state mobile family antenatal postnatal maternity baby baby's babies wellness " +
+  "breastfeeding day big small new old closest go went going was is and or by near me us him her them " +
+  "which what where whose any some every each one"
+).split(" "));
+
+// The trigger is matched case-insensitively (hence the [Mm] classes) but the name
+// itself must be capitalised, so "my husband says…" and "I am tired" are left alone.
+const RELATIONS =
+  "(?:[Mm]y|[Oo]ur) (?:husband|partner|boyfriend|baby'?s? (?:father|daddy)|mother|mom|mum|mama|sister|brother|" +
+  "friend|aunt|gogo|granny|son|daughter|baby|midwife|nurse|doctor)";
+const NAME_TRIGGER_RE = new RegExp(
+  "\\b(?:[Mm]y name is|[Ii] am called|[Ii]['’]m called|[Cc]all me|" +
+  `${RELATIONS},?(?: is called| is named| called| named)?|` +
+  "(?:[Dd]r|[Dd]octor|[Ss]ister|[Nn]urse|[Mm]r|[Mm]rs|[Mm]s|[Mm]iss)\\.?)" +
+  "\\s+([A-Z][a-z'-]+(?:\\s+[A-Z][a-z'-]+)?)",
+  "g"
+);
+// "I am …" and "my partner is …" are followed by a state far more often than a
+// name ("I'm Sad today", "My baby is Premature"), so only a first name and
+// surname together count there
+const FULL_NAME_TRIGGER_RE = new RegExp(
+  `\\b(?:[Ii] am|[Ii]['’]m|${RELATIONS} is)\\s+([A-Z][a-z'-]+\\s+[A-Z][a-z'-]+)`,
+  "g"
+);
+// "my name is thandi" — explicit phrases are trusted even in lower case
+const EXPLICIT_NAME_RE = /\b(?:my name is|i am called|i'm called|call me|is called|is named|named)\s+([a-z][a-z'-]{1,20})\b/gi;
+
+const NOT_NAMES = new Set((
+  "I Im He She It We They The This That And But So Is Was Has Had Keeps Says Said Told Wants Doesnt Dont Never " +
+  "Always Just Also Not Very Really Please Today Yesterday Tomorrow Sorry Fine Okay Pregnant Worried Scared Tired " +
+  "Feeling Going Still Here Back Home Ready Sure Afraid Alone Due Christian Muslim African English Afrikaans " +
+  "Zulu Xhosa Sotho Tswana Venda Tsonga Ndebele Swati Pedi"
+).split(" "));
+const NOT_NAMES_LOWER = new Set((
+  "not so very really just also always never feeling tired sick sad happy worried scared pregnant " +
+  "okay ok fine the a an my and but because on at in back now later when if him her them me us you it"
+).split(" "));
+
+const RESTORE = {
+  NAME: true,
+  CLINIC: true,
+  ADDRESS: true,
+  PHONE: true,
+  ID_NUMBER: false, // never echo ID numbers back
+  EMAIL: false
+};
+const GENERIC = {
+  NAME: "that person",
+  CLINIC: "your clinic",
+  ADDRESS: "your address",
+  PHONE: "your phone number",
+  ID_NUMBER: "your ID number",
+  EMAIL: "your email address"
+};
+
+function validSaId(raw) {
+  const d = raw.replace(/\s/g, "");
+  const mm = Number(d.slice(2, 4));
+  const dd = Number(d.slice(4, 6));
+  return d.length === 13 && mm >= 1 && mm <= 12 && dd >= 1 && dd <= 31;
+}
+
+function placeholderFor(type, value) {
+  const key = value.toLowerCase().replace(/[\s().-]/g, "");
+  const h = crypto.createHmac("sha256", SECRET).update(`${type}:${key}`).digest("hex").slice(0, 6);
+  return `[${type}_${h}]`;
+}
+
+/* --------------------------------- Redaction -------------------------------- */
+// Returns { text, entities } where entities is { placeholder: { type, value } }.
+// Order matters: IDs before phones (a 13-digit ID contains phone-like runs).
+export function redactPII(input) {
+  let text = String(input || "");
+  const entities = {};
+
+  const swap = (type, value) => {
+    const ph = placeholderFor(type, value);
+    entities[ph] = { type, value };
+    return ph;
+  };
+
+  text = text.replace(ID_RE, m => (validSaId(m) ? swap("ID_NUMBER", m) : m));
+  text = text.replace(EMAIL_RE, m => swap("EMAIL", m));
+  text = text.replace(PHONE_RE, m => swap("PHONE", m));
+  text = text.replace(ADDRESS_RE, m => swap("ADDRESS", m.trim()));
+
+  text = text.replace(FACILITY_RE, (m, name, kind) => {
+    // keep only the words after the last generic one ("took me to Jabulani" -> "Jabulani"),
+    // then prefer the trailing Capitalised run, or just the last word if all lower case
+    let words = name.split(/\s+/);
+    words.forEach((w, i) => { if (GENERIC_FACILITY_WORDS.has(w.toLowerCase())) words = name.split(/\s+/).slice(i + 1); });
+    if (!words.length) return m;
+    let n = 0;
+    while (n < words.length && /^[A-Z]/.test(words[words.length - 1 - n])) n++;
+    words = words.slice(-(n || 1));
+
+    const facility = `${words.join(" ")} ${kind}`;
+    return m.slice(0, m.length - facility.length) + swap("CLINIC", facility);
+  });
+
+  const swapName = (words) => (m, name) => {
+    if (name.split(/\s+/).slice(0, words).some(word => NOT_NAMES.has(word))) return m;
+    return m.slice(0, m.length - name.length) + swap("NAME", name);
+  };
+  text = text.replace(NAME_TRIGGER_RE, swapName(1));
+  text = text.replace(FULL_NAME_TRIGGER_RE, swapName(2));
+  text = text.replace(EXPLICIT_NAME_RE, (m, name) => {
+    if (NOT_NAMES_LOWER.has(name.toLowerCase())) return m;
+    return m.slice(0, m.length - name.length) + swap("NAME", name);
+  });
+
+  return { text, entities };
+}
+
+// Put real values back into a model answer where that is appropriate (names,
+// clinics); sensitive ones (ID numbers, emails) and placeholders from earlier
+// turns we no longer know about become a neutral phrase.
+export function restorePII(answer, entities = {}) {
+  return String(answer || "").replace(/\[([A-Z_]+)_([0-9a-f]{6})\]/g, (ph, type) => {
+    const known = entities[ph];
+    if (known && RESTORE[type]) return known.value;
+    return GENERIC[type] || "that";
+  });
+}
+
+// Counts by type, safe to log or return in `meta`
+export function piiSummary(entities = {}) {
+  const counts = {};
+  for (const { type } of Object.values(entities)) counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}
@@ -0,0 +1,39 @@
+// groq.js — Groq cloud provider (groq-sdk)
+import Groq from "groq-sdk";
+
+export function createGroqProvider(name, cfg) {
+  const apiKey = process.env[cfg.apiKeyEnv || "GROQ_API_KEY"];
+  // maxRetries: 0 — failover to the next provider is handled by ./index.js
+  const client = apiKey ? new Groq({ apiKey, timeout: cfg.timeoutMs, maxRetries: 0 }) : null;
+
+  return {
+    name,
+    type: "groq",
+    model: cfg.model,
+    available: Boolean(client),
+
+    async complete({ messages, temperature, max_tokens, response_format }, { signal } = {}) {
+      const completion = await client.chat.completions.create(
+        { model: cfg.model, messages, temperature, max_tokens, response_format },
+        { signal }
+      );
+      return completion.choices?.[0]?.message?.content ?? "";
+    },
+
+    async stream({ messages, temperature, max_tokens }, { signal, onDelta } = {}) {
+      const stream = await client.chat.completions.create(
+        { model: cfg.model, messages, temperature, max_tokens, stream: true },
+        { signal }
+      );
+      let text = "";
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return text;
+    }
+  };
+}
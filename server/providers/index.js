@@ -0,0 +1,107 @@
+// index.js — LLM provider registry with ordered failover
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createGroqProvider } from "./groq.js";
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+import { createMockProvider } from "./mock.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_PATH = process.env.LLM_CONFIG || path.join(__dirname, "..", "..", "config", "llm.json");
+
+const FACTORIES = {
+  "groq": createGroqProvider,
+  "openai-compatible": createOpenAICompatibleProvider,
+  "mock": createMockProvider
+};
+
+/* ------------------------------ Provider setup ------------------------------ */
+function loadProviders() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  const order = process.env.LLM_PROVIDERS
+    ? process.env.LLM_PROVIDERS.split(",").map(s => s.trim()).filter(Boolean)
+    : config.order;
+
+  const providers = [];
+  for (const name of order) {
+    const cfg = config.providers?.[name];
+    if (!cfg) throw new Error(`LLM provider "${name}" is not defined in ${CONFIG_PATH}`);
+    const factory = FACTORIES[cfg.type];
+    if (!factory) throw new Error(`LLM provider "${name}" has unknown type "${cfg.type}"`);
+
+    const provider = factory(name, cfg);
+    provider.defaults = { temperature: cfg.temperature ?? 0.4, max_tokens: cfg.max_tokens ?? 400 };
+    if (provider.available) providers.push(provider);
+    else console.warn(`LLM provider "${name}" skipped (not configured)`);
+  }
+
+  if (!providers.length) console.warn("WARN: no LLM provider is configured — chat will fall back to fixed messages.");
+  return providers;
+}
+
+const providers = loadProviders();
+
+export function providerNames() {
+  return providers.map(p => `${p.name}:${p.model}`);
+}
+
+/* --------------------------------- Failover --------------------------------- */
+// Worth trying the next provider? Yes for timeouts, connection failures and
+// 5xx; no for our own aborts or 4xx (the request itself is wrong).
+function shouldFailover(err) {
+  if (err?.name === "AbortError" || err?.name === "APIUserAbortError" || err?.code === "ERR_CANCELED") return false;
+  const status = err?.status ?? err?.response?.status;
+  if (status) return status >= 500 || status === 408;
+  return true;
+}
+
+async function withFailover(run, { signal } = {}) {
+  const attempts = [];
+
+  for (const provider of providers) {
+    if (signal?.aborted) break;
+    try {
+      const { text } = await run(provider);
+      attempts.push({ provider: provider.name, ok: true });
+      return { text, provider: provider.name, model: provider.model, attempts };
+    } catch (err) {
+      const status = err?.status ?? err?.response?.status ?? null;
+      attempts.push({ provider: provider.name, ok: false, status, error: err.message });
+      console.error(`LLM provider "${provider.name}" failed:`, status || "", err.message);
+      if (!shouldFailover(err) || err.emitted) throw Object.assign(err, { attempts });
+    }
+  }
+
+  throw Object.assign(new Error("All LLM providers failed"), { attempts });
+}
+
+// params: { messages, temperature?, max_tokens? } — unset values use the
+// provider's config. Resolves { text, provider, model, attempts }.
+export async function complete(params, { signal } = {}) {
+  return withFailover(async (provider) => {
+    const text = await provider.complete({ ...provider.defaults, ...stripUndefined(params) }, { signal });
+    return { text };
+  }, { signal });
+}
+
+// Streams deltas to onDelta. Failover only happens before the first delta —
+// once text has reached the user we can't switch voices mid-answer.
+export async function stream(params, { signal, onDelta } = {}) {
+  return withFailover(async (provider) => {
+    let emitted = false;
+    try {
+      const text = await provider.stream(
+        { ...provider.defaults, ...stripUndefined(params) },
+        { signal, onDelta: (d) => { emitted = true; onDelta(d); } }
+      );
+      return { text };
+    } catch (err) {
+      throw Object.assign(err, { emitted });
+    }
+  }, { signal });
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
@@ -0,0 +1,83 @@
+// mock.js — deterministic provider for tests and offline development.
+// Same input always gives the same answer; `failWith: 503` in config makes it
+// throw like a broken upstream, to exercise failover. JSON-mode requests
+// (`response_format: { type: "json_object" }`) get a canned message analysis.
+
+function lastUserText(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === "user") return String(messages[i].content || "");
+  }
+  return "";
+}
+
+export function mockAnswer(messages) {
+  const said = lastUserText(messages).replace(/\s+/g, " ").trim().slice(0, 80);
+  return [
+    `Thank you for telling me about "${said}".`,
+    "What you are feeling makes sense, and you are not alone in this.",
+    "Try to rest when you can and keep drinking water through the day.",
+    "If anything changes or worries you, please visit your clinic so a nurse can check on you."
+  ].join(" ");
+}
+
+// Keyword-level stand-in for the analyser in ../analyzer.js
+export function mockAnalysis(messages) {
+  let said = lastUserText(messages);
+  try { said = JSON.parse(said).user_text || said; } catch { /* plain text */ }
+  const lower = said.toLowerCase();
+  const has = (re) => re.test(lower);
+
+  const markers = [];
+  if (has(/bleed/)) markers.push("bleeding");
+  if (has(/fever|hot/)) markers.push("fever");
+  if (has(/pain|hurt|sore/)) markers.push("pain");
+
+  const topic = has(/sleep/) ? "newborn_sleep" : has(/feed|latch|breast|milk/) ? "feeding"
+    : has(/pain|hurt|sore/) ? "pain" : has(/bleed/) ? "bleeding"
+    : has(/sad|cry|anxious|worried|overwhelm|scared/) ? "emotions" : "general_info";
+  const week = lower.match(/(\d{1,2})\s*weeks?/);
+
+  return JSON.stringify({
+    topic,
+    intent: has(/\bhow (do|can|should)\b/) ? "ask_for_steps" : has(/normal/) ? "ask_if_normal" : "describe_symptom",
+    emotionalState: {
+      label: has(/overwhelm|can't cope/) ? "overwhelmed" : has(/worried|scared|anxious/) ? "worried" : "neutral",
+      intensity: has(/overwhelm|can't cope|so scared|terrified/) ? 0.8 : has(/worried|scared|anxious/) ? 0.5 : 0.2
+    },
+    risk: { level: markers.length ? "medium" : "none", markers },
+    userContext: {
+      phase: has(/pregnan|weeks/) ? "pregnancy" : has(/baby|newborn/) ? "postpartum" : "unknown",
+      week: week ? Number(week[1]) : null,
+      babyAge: has(/newborn/) ? "newborn" : null,
+      parity: has(/first baby/) ? "first_baby" : "unknown"
+    },
+    goal: "understand_if_normal"
+  });
+}
+
+export function createMockProvider(name, cfg) {
+  const maybeFail = () => {
+    if (cfg.failWith) {
+      throw Object.assign(new Error(`Mock provider failure (${cfg.failWith})`), { status: cfg.failWith });
+    }
+  };
+
+  return {
+    name,
+    type: "mock",
+    model: cfg.model || "kozani-mock-1",
+    available: true,
+
+    async complete({ messages, response_format }) {
+      maybeFail();
+      return response_format?.type === "json_object" ? mockAnalysis(messages) : mockAnswer(messages);
+    },
+
+    async stream({ messages }, { onDelta } = {}) {
+      maybeFail();
+      const text = mockAnswer(messages);
+      for (const piece of text.match(/\S+\s*/g) || []) onDelta(piece);
+      return text;
+    }
+  };
+}
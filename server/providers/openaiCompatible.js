@@ -0,0 +1,55 @@
+// openaiCompatible.js — any OpenAI-style /chat/completions endpoint
+// (llama.cpp server, Ollama, vLLM, LM Studio, …)
+import axios from "axios";
+
+export function createOpenAICompatibleProvider(name, cfg) {
+  const baseUrl = (process.env[cfg.baseUrlEnv] || cfg.baseUrl || "").replace(/\/+$/, "");
+  const apiKey = cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : undefined;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  return {
+    name,
+    type: "openai-compatible",
+    model: cfg.model,
+    available: Boolean(baseUrl),
+
+    async complete({ messages, temperature, max_tokens, response_format }, { signal } = {}) {
+      const resp = await axios.post(
+        `${baseUrl}/chat/completions`,
+        { model: cfg.model, messages, temperature, max_tokens, response_format },
+        { headers, timeout: cfg.timeoutMs, signal }
+      );
+      return resp.data?.choices?.[0]?.message?.content ?? "";
+    },
+
+    async stream({ messages, temperature, max_tokens }, { signal, onDelta } = {}) {
+      const resp = await axios.post(
+        `${baseUrl}/chat/completions`,
+        { model: cfg.model, messages, temperature, max_tokens, stream: true },
+        { headers, timeout: cfg.timeoutMs, signal, responseType: "stream" }
+      );
+
+      let text = "";
+      let buffer = "";
+      for await (const part of resp.data) {
+        buffer += part.toString("utf8");
+        const lines = buffer.split("\n");
+        buffer = lines.pop(); // keep an incomplete line for the next chunk
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          try {
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+              text += delta;
+              onDelta(delta);
+            }
+          } catch { /* ignore keep-alives / partial JSON */ }
+        }
+      }
+      return text;
+    }
+  };
+}
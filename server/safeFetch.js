@@ -0,0 +1,141 @@
+// safeFetch.js — SSRF-hardened GET for /api/fetch
+//
+// Redirects are followed by hand so every hop is checked again: HTTPS only
+// (unless FETCH_ALLOW_HTTP=true), host on the allow-list, and no private,
+// loopback or link-local addresses. The address check runs inside the socket's
+// own DNS lookup, so a name can't resolve to a public IP for the check and a
+// private one for the connection (DNS rebinding).
+//
+// Failures throw an Error with `reason` (a stable code from REASONS) and the
+// HTTP `status` the route should answer with.
+import axios from "axios";
+import dns from "node:dns";
+import net from "node:net";
+import http from "node:http";
+import https from "node:https";
+
+const ALLOW_HTTP = process.env.FETCH_ALLOW_HTTP === "true";
+// Local development only — lets the fetcher reach a stub server on 127.0.0.1.
+// Other private ranges (cloud metadata, LAN) stay blocked even then.
+const ALLOW_LOOPBACK = process.env.FETCH_ALLOW_LOOPBACK === "true";
+
+export const REASONS = {
+  INVALID_URL: 400,
+  CREDENTIALS_IN_URL: 400,
+  HTTPS_REQUIRED: 403,
+  HOST_NOT_ALLOWED: 403,
+  REDIRECT_HOST_NOT_ALLOWED: 403,
+  PRIVATE_ADDRESS: 403,
+  DNS_FAILED: 502,
+  BAD_REDIRECT: 502,
+  TOO_MANY_REDIRECTS: 502
+};
+
+function blocked(reason, message, url) {
+  return Object.assign(new Error(message), { reason, status: REASONS[reason], url });
+}
+
+/* ----------------------------- Address checks ------------------------------- */
+const PRIVATE_RANGES = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) PRIVATE_RANGES.addSubnet(net4, bits, "ipv4");
+for (const [net6, bits] of [
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["2001:db8::", 32], ["64:ff9b::", 96]
+]) PRIVATE_RANGES.addSubnet(net6, bits, "ipv6");
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true; // not an IP at all: refuse rather than guess
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) must be judged as the IPv4 it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], "ipv4");
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet("127.0.0.0", 8, "ipv4");
+LOOPBACK.addAddress("::1", "ipv6");
+
+function isRefused(address) {
+  if (!isPrivateAddress(address)) return false;
+  if (!ALLOW_LOOPBACK) return true;
+  return !(LOOPBACK.check(address, "ipv4") || LOOPBACK.check(address, "ipv6"));
+}
+
+// dns.lookup-compatible function used by the agents below
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(Object.assign(err, { reason: "DNS_FAILED", status: REASONS.DNS_FAILED }));
+    const bad = addresses.find(a => isRefused(a.address));
+    if (bad) {
+      return callback(blocked("PRIVATE_ADDRESS", `${hostname} resolves to a private address (${bad.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/* ------------------------------- Hop checks --------------------------------- */
+function checkUrl(raw, isAllowed, hop) {
+  let u;
+  try { u = new URL(raw); } catch { throw blocked(hop ? "BAD_REDIRECT" : "INVALID_URL", `Invalid URL: ${raw}`, raw); }
+
+  if (u.username || u.password) throw blocked("CREDENTIALS_IN_URL", "URLs with credentials are not fetched", raw);
+  if (!(u.protocol === "https:" || (ALLOW_HTTP && u.protocol === "http:"))) {
+    throw blocked("HTTPS_REQUIRED", `Only HTTPS URLs can be fetched (got ${u.protocol})`, raw);
+  }
+  if (!isAllowed(u.href)) {
+    throw blocked(hop ? "REDIRECT_HOST_NOT_ALLOWED" : "HOST_NOT_ALLOWED", `Domain not allowed: ${u.hostname}`, raw);
+  }
+  // IP literals never go through DNS, so the lookup guard can't see them
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isRefused(host)) {
+    throw blocked("PRIVATE_ADDRESS", `Private address not allowed: ${host}`, raw);
+  }
+  return u;
+}
+
+/* ---------------------------------- Fetch ----------------------------------- */
+// Same shape as an axios response, plus `finalUrl` and `redirects` (the hops
+// taken). `options` are axios options; redirects and agents are ours.
+export async function safeGet(url, { isAllowed, maxRedirects = 5, ...options } = {}) {
+  let current = checkUrl(url, isAllowed, false).href;
+  const redirects = [];
+
+  for (;;) {
+    let resp;
+    try {
+      resp = await axios.get(current, {
+        ...options,
+        maxRedirects: 0,
+        proxy: false, // a proxy would do its own DNS and skip our address check
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+    } catch (err) {
+      if (err.reason) throw Object.assign(err, { url: current });
+      if (err.cause?.reason) throw Object.assign(err.cause, { url: current });
+      throw err;
+    }
+
+    if (resp.status < 300 || resp.status >= 400 || resp.status === 304) {
+      return Object.assign(resp, { finalUrl: current, redirects });
+    }
+
+    const location = resp.headers.location;
+    if (!location) throw blocked("BAD_REDIRECT", `HTTP ${resp.status} without a Location header`, current);
+    if (redirects.length >= maxRedirects) throw blocked("TOO_MANY_REDIRECTS", `More than ${maxRedirects} redirects`, current);
+
+    let next;
+    try { next = new URL(location, current).href; } catch { throw blocked("BAD_REDIRECT", `Invalid redirect target: ${location}`, current); }
+    current = checkUrl(next, isAllowed, true).href;
+    redirects.push(current);
+  }
+}
@@ -0,0 +1,45 @@
+// google.js — Google Programmable Search (Custom Search JSON API)
+import axios from "axios";
+
+const DATE_RESTRICT = { day: "d1", week: "w1", month: "m1", year: "y1" };
+
+// PDF and DOCX are extracted by /api/fetch; legacy Office formats still aren't
+const EXCLUDE = "-filetype:doc -filetype:ppt -filetype:pptx";
+
+export function createGoogleProvider(name, cfg, { allowedDomains }) {
+  const key = process.env[cfg.keyEnv || "GOOGLE_KEY"];
+  const cx = process.env[cfg.cxEnv || "GOOGLE_CX"];
+
+  return {
+    name,
+    type: "google-cse",
+    available: Boolean(key && cx),
+
+    async search({ q, limit, freshness, market }) {
+      // the registry can change at runtime, so build this per query
+      const domains = allowedDomains();
+      const siteClause = domains.length ? ` (${domains.map(d => `site:${d}`).join(" OR ")})` : "";
+      const results = [];
+      // Google returns at most 10 per call, `start` is 1-based
+      for (let start = 1; start <= limit; start += 10) {
+        const params = {
+          key,
+          cx,
+          q: `${q} ${EXCLUDE}${siteClause}`,
+          num: Math.min(10, limit - start + 1),
+          start,
+          safe: "active"
+        };
+        if (freshness) params.dateRestrict = DATE_RESTRICT[freshness];
+        if (market?.region) params.gl = market.region;   // e.g. ZA
+        if (market?.language) params.hl = market.language;
+
+        const resp = await axios.get("https://www.googleapis.com/customsearch/v1", { params, timeout: cfg.timeoutMs });
+        const items = resp.data.items || [];
+        results.push(...items.map(it => ({ title: it.title, url: it.link, snippet: it.snippet })));
+        if (items.length < params.num) break;
+      }
+      return results;
+    }
+  };
+}
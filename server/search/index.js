@@ -0,0 +1,152 @@
+// index.js — search provider registry: query every provider, merge, de-duplicate
+//
+// Every adapter implements search({ q, limit, freshness, market }) and resolves
+// [{ title, url, snippet, publishedAt? }] best first. The shared semantics:
+//   freshness  "day" | "week" | "month" | "year" | null — updated within that window
+//   market     { language: "en", region: "ZA" } from mkt=en-ZA — a preference, not a filter
+//   offset     0-based position in the merged list (adapters always start from the top)
+// Merged results are ranked by trust tier from the source registry (../sources.js).
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { normalizeUrl } from "../fetchCache.js";
+import { createGoogleProvider } from "./google.js";
+import { createSearxngProvider } from "./searxng.js";
+import { createLocalProvider } from "./local.js";
+import { createStubProvider } from "./stub.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_PATH = process.env.SEARCH_CONFIG || path.join(__dirname, "..", "..", "config", "search.json");
+
+const MAX_COUNT = 10;
+const MAX_DEPTH = 30; // offset + count we are willing to page through
+const RRF_K = 60;     // reciprocal rank fusion constant
+
+// Tier 1 (official) results outrank tier 3 ones unless the providers clearly disagree
+const TIER_WEIGHT = { 1: 1, 2: 0.8, 3: 0.6 };
+const REGION_BOOST = 1.1;
+
+const FACTORIES = {
+  "google-cse": createGoogleProvider,
+  "searxng": createSearxngProvider,
+  "local": createLocalProvider,
+  "stub": createStubProvider
+};
+
+/* --------------------------------- Params ----------------------------------- */
+export function parseFreshness(f) {
+  const x = String(f || "").toLowerCase();
+  return ["day", "week", "month", "year"].includes(x) ? x : null;
+}
+
+export function parseMarket(mkt) {
+  const m = /^([a-z]{2,3})(?:-([a-z]{2}))?$/i.exec(String(mkt || "").trim());
+  return m ? { language: m[1].toLowerCase(), region: m[2]?.toUpperCase() || null } : null;
+}
+
+/* ------------------------------ Provider setup ------------------------------ */
+// ctx: { allowedDomains() -> ["who.int", …], isAllowed(url), sourceFor(url) -> registry entry }
+export function createSearch(ctx) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  const order = process.env.SEARCH_PROVIDERS
+    ? process.env.SEARCH_PROVIDERS.split(",").map(s => s.trim()).filter(Boolean)
+    : config.order;
+
+  const providers = [];
+  for (const name of order) {
+    const cfg = config.providers?.[name];
+    if (!cfg) throw new Error(`Search provider "${name}" is not defined in ${CONFIG_PATH}`);
+    const factory = FACTORIES[cfg.type];
+    if (!factory) throw new Error(`Search provider "${name}" has unknown type "${cfg.type}"`);
+
+    const provider = factory(name, cfg, ctx);
+    if (provider.available) providers.push(provider);
+    else console.warn(`Search provider "${name}" skipped (not configured)`);
+  }
+  if (!providers.length) console.warn("WARN: no search provider is configured — /api/search will return 503.");
+
+  // Resolves { items, totalEstimatedMatches, providers }; throws with `status` 503
+  // when nothing is configured and 502 when every provider failed
+  async function search({ q, count = 5, offset = 0, freshness, mkt }) {
+    if (!providers.length) throw Object.assign(new Error("No search provider configured"), { status: 503 });
+
+    count = Math.max(1, Math.min(Number(count) || 5, MAX_COUNT));
+    offset = Math.max(0, Number(offset) || 0);
+    const limit = Math.min(offset + count, MAX_DEPTH);
+    const params = { q, limit, freshness: parseFreshness(freshness), market: parseMarket(mkt) };
+
+    const settled = await Promise.allSettled(providers.map(p => p.search(params)));
+    const report = [];
+    const lists = [];
+    settled.forEach((s, i) => {
+      const name = providers[i].name;
+      if (s.status === "fulfilled") {
+        const results = s.value.filter(r => r?.url && ctx.isAllowed(r.url));
+        lists.push({ name, results });
+        report.push({ provider: name, ok: true, count: results.length });
+      } else {
+        console.error(`Search provider "${name}" failed:`, s.reason?.message);
+        report.push({ provider: name, ok: false, error: s.reason?.message });
+      }
+    });
+
+    if (!lists.length) {
+      throw Object.assign(new Error("All search providers failed"), { status: 502, providers: report });
+    }
+
+    const merged = mergeResults(lists, { sourceFor: ctx.sourceFor, market: params.market });
+    return {
+      items: merged.slice(offset, offset + count),
+      totalEstimatedMatches: merged.length,
+      providers: report
+    };
+  }
+
+  return { search, names: () => providers.map(p => p.name) };
+}
+
+/* ---------------------------------- Merge ----------------------------------- */
+function dedupeKey(url) {
+  try {
+    return normalizeUrl(url).replace(/^(https?:\/\/)www\./, "$1").replace(/\/$/, "");
+  } catch {
+    return url;
+  }
+}
+
+// Reciprocal rank fusion: a page ranked well by several providers rises to the
+// top; the first provider to return a page supplies its title and snippet.
+// The fused score is then weighted by the source's tier, with a small boost
+// when the source's region matches the requested market.
+function mergeResults(lists, { sourceFor, market }) {
+  const byKey = new Map();
+  for (const { name, results } of lists) {
+    results.forEach((r, rank) => {
+      const key = dedupeKey(r.url);
+      const item = byKey.get(key) || {
+        name: r.title || r.url,
+        url: r.url,
+        snippet: r.snippet || "",
+        publishedAt: r.publishedAt || null,
+        providers: [],
+        score: 0
+      };
+      if (!item.snippet && r.snippet) item.snippet = r.snippet;
+      if (!item.providers.includes(name)) {
+        item.providers.push(name);
+        item.score += 1 / (RRF_K + rank + 1);
+      }
+      byKey.set(key, item);
+    });
+  }
+  for (const item of byKey.values()) {
+    const source = sourceFor(item.url);
+    item.tier = source?.tier ?? null;
+    item.score *= TIER_WEIGHT[item.tier] ?? TIER_WEIGHT[3];
+    if (market?.region && source?.region === market.region) item.score *= REGION_BOOST;
+  }
+  return [...byKey.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...item }) => item);
+}
@@ -0,0 +1,99 @@
+// local.js — full-text search over pages already fetched through /api/fetch
+//
+// Keeps a BM25 index in memory over the fetch cache (../fetchCache.js), scored
+// like the knowledge base (../kb.js). When pages are added, refetched or
+// evicted, only those pages are read and (un)counted, so a search never has to
+// re-read the whole cache. Works with no API keys and no network, which is what
+// we want on a clinic laptop.
+import { tokenize, termCounts, bm25Score } from "../kb.js";
+import { listCached, peekCached, cacheVersion } from "../fetchCache.js";
+
+const SNIPPET_CHARS = 220;
+const FRESHNESS_DAYS = { day: 1, week: 7, month: 31, year: 366 };
+
+export function createLocalProvider(name) {
+  const docs = new Map(); // key -> { title, url, fetchedAt, updatedAt, len, tf }
+  const df = Object.create(null);
+  let totalLen = 0;
+  let version = null; // cacheVersion() the index matches
+
+  function add({ key, fetchedAt, lastModified }) {
+    const article = peekCached(key);
+    if (!article?.fullText) return;
+    const { tf, len } = termCounts(`${article.title} ${article.fullText}`);
+    for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+    totalLen += len;
+    // "updated" means Last-Modified when the site sent one, else when we fetched it
+    const updatedAt = Date.parse(lastModified || "") || fetchedAt;
+    docs.set(key, { title: article.title, url: article.url || key, fetchedAt, updatedAt, len, tf });
+  }
+
+  function drop(key) {
+    const doc = docs.get(key);
+    for (const t of Object.keys(doc.tf)) {
+      if (--df[t] === 0) delete df[t];
+    }
+    totalLen -= doc.len;
+    docs.delete(key);
+  }
+
+  // Brings the index in line with the cache: evicted or refetched pages are
+  // dropped, new ones counted. Pages that didn't change are never re-read.
+  function sync() {
+    if (version === cacheVersion()) return;
+    const cached = new Map(listCached().map(entry => [entry.key, entry]));
+    for (const [key, doc] of docs) {
+      if (cached.get(key)?.fetchedAt !== doc.fetchedAt) drop(key);
+    }
+    for (const entry of cached.values()) {
+      if (!docs.has(entry.key)) add(entry);
+    }
+    version = cacheVersion();
+  }
+
+  function snippetFor(key, terms) {
+    const text = String(peekCached(key)?.fullText || "").replace(/\s+/g, " ");
+    const lower = text.toLowerCase();
+    const at = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+    const start = Math.max(0, text.lastIndexOf(" ", Math.max(0, at - 60)) + 1);
+    return (start > 0 ? "…" : "") + text.slice(start, start + SNIPPET_CHARS).trim() + "…";
+  }
+
+  return {
+    name,
+    type: "local",
+    available: true,
+
+    async search({ q, limit, freshness, market }) {
+      sync();
+      const terms = [...new Set(tokenize(q))];
+      if (!terms.length || !docs.size) return [];
+      const stats = { N: docs.size, df, avgdl: totalLen / docs.size };
+
+      const since = freshness ? Date.now() - FRESHNESS_DAYS[freshness] * 24 * 60 * 60 * 1000 : 0;
+      const regionTld = market?.region ? `.${market.region.toLowerCase()}` : null;
+      const scored = [];
+
+      for (const [key, doc] of docs) {
+        if (doc.updatedAt < since) continue;
+        let score = bm25Score(terms, doc, stats);
+        if (!score) continue;
+        // the market is a preference: nudge local sites up, never filter others out
+        try {
+          if (regionTld && new URL(doc.url).hostname.endsWith(regionTld)) score *= 1.1;
+        } catch { /* keep score */ }
+        scored.push({ key, doc, score });
+      }
+
+      return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ key, doc }) => ({
+          title: doc.title,
+          url: doc.url,
+          snippet: snippetFor(key, terms),
+          publishedAt: new Date(doc.updatedAt).toISOString()
+        }));
+    }
+  };
+}
@@ -0,0 +1,36 @@
+// searxng.js — self-hosted SearXNG (or anything speaking its /search?format=json API)
+import axios from "axios";
+
+export function createSearxngProvider(name, cfg, { allowedDomains }) {
+  const baseUrl = (process.env[cfg.baseUrlEnv] || cfg.baseUrl || "").replace(/\/+$/, "");
+
+  return {
+    name,
+    type: "searxng",
+    available: Boolean(baseUrl),
+
+    async search({ q, limit, freshness, market }) {
+      // the registry can change at runtime, so build this per query
+      const domains = allowedDomains();
+      const siteClause = domains.length ? ` (${domains.map(d => `site:${d}`).join(" OR ")})` : "";
+      const results = [];
+      // SearXNG pages are ~10 results; stop after 3 pages whatever happens
+      for (let pageno = 1; results.length < limit && pageno <= 3; pageno++) {
+        const params = { q: `${q}${siteClause}`, format: "json", pageno, safesearch: 1 };
+        if (freshness) params.time_range = freshness; // same day/week/month/year vocabulary
+        if (market) params.language = market.region ? `${market.language}-${market.region}` : market.language;
+
+        const resp = await axios.get(`${baseUrl}/search`, { params, timeout: cfg.timeoutMs });
+        const items = resp.data?.results || [];
+        results.push(...items.map(it => ({
+          title: it.title,
+          url: it.url,
+          snippet: it.content || "",
+          publishedAt: it.publishedDate || null
+        })));
+        if (!items.length) break;
+      }
+      return results.slice(0, limit);
+    }
+  };
+}
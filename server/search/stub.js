@@ -0,0 +1,24 @@
+// stub.js — deterministic provider for tests and offline development.
+// Same query, same results: one page per allow-listed domain, or `cfg.results`
+// ([{ title, url, snippet }]) when given. `failWith: 503` makes it throw.
+
+export function createStubProvider(name, cfg, { allowedDomains }) {
+  return {
+    name,
+    type: "stub",
+    available: true,
+
+    async search({ q, limit }) {
+      if (cfg.failWith) {
+        throw Object.assign(new Error(`Stub search failure (${cfg.failWith})`), { status: cfg.failWith });
+      }
+      const slug = String(q).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "");
+      const results = cfg.results || allowedDomains().map(domain => ({
+        title: `${q} — ${domain}`,
+        url: `https://${domain}/stub/${slug}`,
+        snippet: `Stub result for "${q}" from ${domain}.`
+      }));
+      return results.slice(0, limit);
+    }
+  };
+}
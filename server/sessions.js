@@ -0,0 +1,144 @@
+// sessions.js — file-backed conversation sessions with rolling summarization
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SESSIONS_DIR =
+  process.env.SESSIONS_DIR || path.join(__dirname, "..", "data", "sessions");
+
+const TOKEN_BUDGET = Number(process.env.SESSION_TOKEN_BUDGET || 1500); // history sent to the model
+const KEEP_RECENT = Number(process.env.SESSION_KEEP_RECENT || 6);      // messages kept verbatim
+const TTL_MS = Number(process.env.SESSION_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/* ------------------------------- Disk helpers ------------------------------- */
+function fileFor(id) {
+  if (!ID_RE.test(String(id || ""))) return null; // never build paths from arbitrary input
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function save(session) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  const file = fileFor(session.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(session));
+  fs.renameSync(tmp, file);
+  return session;
+}
+
+// Rough token estimate (≈4 chars per token) — good enough for a budget check
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/* ---------------------------------- CRUD ------------------------------------ */
+export function createSession() {
+  const now = new Date().toISOString();
+  return save({
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    summary: "",
+    summarizedCount: 0, // how many messages the summary covers
+    messages: [],       // [{ role, content, at }]
+    state: {}           // small flags, e.g. the EPDS check-in (./epds.js)
+  });
+}
+
+// Returns the session, or null if it does not exist or has expired
+export function getSession(id) {
+  const file = fileFor(id);
+  if (!file) return null;
+
+  let session;
+  try {
+    session = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  if (Date.now() - Date.parse(session.updatedAt) > TTL_MS) {
+    deleteSession(id);
+    return null;
+  }
+  return session;
+}
+
+export function resetSession(id) {
+  const session = getSession(id);
+  if (!session) return null;
+  return save({
+    ...session,
+    updatedAt: new Date().toISOString(),
+    summary: "",
+    summarizedCount: 0,
+    messages: [],
+    state: {}
+  });
+}
+
+// Merges `patch` into the session's flags; sessions from before `state` existed get one
+export function setSessionState(id, patch) {
+  const session = getSession(id);
+  if (!session) return null;
+  return save({ ...session, state: { ...session.state, ...patch } });
+}
+
+export function deleteSession(id) {
+  const file = fileFor(id);
+  if (!file) return false;
+  try {
+    fs.unlinkSync(file);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+/* ---------------------------- History for prompts --------------------------- */
+// Messages to put between the system prompt and the new user message
+export function historyMessages(session) {
+  if (!session) return [];
+  const out = [];
+  if (session.summary) {
+    out.push({ role: "system", content: `Summary of the earlier conversation with this user:\n${session.summary}` });
+  }
+  for (const m of session.messages) out.push({ role: m.role, content: m.content });
+  return out;
+}
+
+// Appends a user/assistant turn. Once the verbatim history passes the token
+// budget, older messages are folded into the summary by `summarize(messages,
+// previousSummary)` (an async LLM call supplied by the caller). If summarizing
+// fails we just drop the oldest messages — history is a nicety, not a requirement.
+export async function appendTurn(id, userText, answer, { summarize } = {}) {
+  const session = getSession(id);
+  if (!session) return null;
+
+  const at = new Date().toISOString();
+  session.messages.push({ role: "user", content: userText, at }, { role: "assistant", content: answer, at });
+  session.updatedAt = at;
+
+  const total = session.messages.reduce((n, m) => n + estimateTokens(m.content), estimateTokens(session.summary));
+  if (total > TOKEN_BUDGET && session.messages.length > KEEP_RECENT) {
+    const older = session.messages.slice(0, session.messages.length - KEEP_RECENT);
+    const recent = session.messages.slice(-KEEP_RECENT);
+
+    try {
+      if (!summarize) throw new Error("no summarizer");
+      session.summary = String(await summarize(older, session.summary)).trim();
+    } catch (err) {
+      console.warn("Session summarization failed, trimming instead:", err.message);
+    }
+    session.summarizedCount += older.length;
+    session.messages = recent;
+  }
+
+  return save(session);
+}
@@ -0,0 +1,187 @@
+// sources.js — registry of trusted source domains for /api/search and /api/fetch
+//
+// Each domain carries a trust tier (1 = official health authority, 2 =
+// professional / academic, 3 = other vetted sites), the region and language of
+// its content, and optional extraction rules for pages Readability gets wrong:
+//   { "selectors": ["main .article-body"], "remove": [".cookie-banner"] }
+// The file is re-read whenever its mtime changes, so edits through the admin
+// endpoints (or by hand) apply without a restart.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SOURCES_PATH =
+  process.env.SOURCES_PATH || path.join(__dirname, "..", "data", "sources.json");
+
+export const TIERS = [1, 2, 3];
+const DEFAULT_TIER = 2;
+
+const DOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const MAX_SELECTORS = 10;
+
+/* --------------------------------- Loading ---------------------------------- */
+let loaded = null; // { mtimeMs, sources: Map(domain -> source) }
+
+const envDomains = () => (process.env.ALLOW_LIST || "")
+  .split(",")
+  .map(s => s.trim().toLowerCase().replace(/^www\./, ""))
+  .filter(Boolean);
+
+// First start: seed the registry from the old flat ALLOW_LIST env var. A bad
+// entry is skipped with a warning rather than stopping the server.
+function seedFromEnv() {
+  const sources = new Map();
+  for (const domain of envDomains()) {
+    try {
+      sources.set(domain, normalizeSource(domain, {}));
+    } catch (err) {
+      console.warn(`ALLOW_LIST: skipping "${domain}": ${err.message}`);
+    }
+  }
+  save([...sources.values()]);
+  console.log(`Source registry created at ${SOURCES_PATH} from ALLOW_LIST (${sources.size} domains)`);
+}
+
+// After the first start ALLOW_LIST is no longer read, so say so once if it
+// names domains the registry doesn't have
+let envChecked = false;
+function warnAboutEnv(sources) {
+  if (envChecked) return;
+  envChecked = true;
+  const missing = envDomains().filter(d => !sources.has(d));
+  if (missing.length) {
+    console.warn(
+      `ALLOW_LIST has domains that are not in ${SOURCES_PATH} and are ignored: ${missing.join(", ")}. ` +
+      "Add them through /api/admin/sources or by editing the file."
+    );
+  }
+}
+
+function save(sources) {
+  fs.mkdirSync(path.dirname(SOURCES_PATH), { recursive: true });
+  const tmp = `${SOURCES_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), sources }, null, 2));
+  fs.renameSync(tmp, SOURCES_PATH);
+  loaded = null; // re-read on next use even if the mtime didn't visibly change
+}
+
+function load() {
+  if (!fs.existsSync(SOURCES_PATH)) seedFromEnv();
+  const stat = fs.statSync(SOURCES_PATH);
+  if (loaded && loaded.mtimeMs === stat.mtimeMs) return loaded;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(SOURCES_PATH, "utf8"));
+    if (!Array.isArray(raw.sources)) throw new Error("sources file has no `sources` array");
+    const sources = new Map(raw.sources.map(s => [s.domain, normalizeSource(s.domain, s)]));
+    loaded = { mtimeMs: stat.mtimeMs, sources };
+    console.log(`Source registry loaded (${sources.size} domains)`);
+    warnAboutEnv(sources);
+  } catch (err) {
+    if (!loaded) throw err;
+    console.error("Source registry reload failed, keeping previous version:", err.message);
+  }
+  return loaded;
+}
+
+/* -------------------------------- Validation -------------------------------- */
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+function checkSelectors(list, field) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list) || list.length > MAX_SELECTORS) {
+    throw invalid(`extraction.${field} must be a list of at most ${MAX_SELECTORS} CSS selectors`);
+  }
+  const { document } = new JSDOM("").window;
+  for (const sel of list) {
+    if (typeof sel !== "string" || !sel.trim() || sel.length > 200) throw invalid(`extraction.${field} has an empty or overlong selector`);
+    try { document.querySelector(sel); } catch { throw invalid(`extraction.${field}: invalid CSS selector "${sel}"`); }
+  }
+  return list.map(s => s.trim());
+}
+
+// Fills defaults and rejects anything malformed (throws with status 400)
+function normalizeSource(domain, s) {
+  domain = String(domain || "").trim().toLowerCase().replace(/^www\./, "");
+  if (!DOMAIN_RE.test(domain)) throw invalid(`Invalid domain "${domain}"`);
+
+  const tier = s.tier === undefined ? DEFAULT_TIER : Number(s.tier);
+  if (!TIERS.includes(tier)) throw invalid(`tier must be one of ${TIERS.join(", ")}`);
+
+  const region = s.region ? String(s.region).toUpperCase() : null;
+  if (region && !/^[A-Z]{2}$/.test(region)) throw invalid("region must be a two-letter country code (e.g. ZA) or null for global");
+
+  const language = s.language ? String(s.language).toLowerCase() : null;
+  if (language && !/^[a-z]{2,3}$/.test(language)) throw invalid("language must be a language code (e.g. en, zu) or null");
+
+  const extraction = s.extraction
+    ? { selectors: checkSelectors(s.extraction.selectors, "selectors"), remove: checkSelectors(s.extraction.remove, "remove") }
+    : null;
+
+  return {
+    domain,
+    name: s.name ? String(s.name).slice(0, 120) : null,
+    tier,
+    region,
+    language,
+    enabled: s.enabled !== false,
+    extraction: extraction && (extraction.selectors.length || extraction.remove.length) ? extraction : null
+  };
+}
+
+/* ---------------------------------- Lookup ---------------------------------- */
+// The registry entry covering `url` (longest matching domain), or null
+export function sourceFor(url) {
+  let host;
+  try { host = new URL(url).hostname.toLowerCase(); } catch { return null; }
+
+  let best = null;
+  for (const s of load().sources.values()) {
+    if (!s.enabled) continue;
+    if ((host === s.domain || host.endsWith(`.${s.domain}`)) && (!best || s.domain.length > best.domain.length)) best = s;
+  }
+  return best;
+}
+
+export function isAllowedSource(url) {
+  return Boolean(sourceFor(url));
+}
+
+export function allowedDomains() {
+  return [...load().sources.values()].filter(s => s.enabled).map(s => s.domain);
+}
+
+export function listSources() {
+  return [...load().sources.values()];
+}
+
+// Short hash of a source's extraction rules, so cached extractions made under
+// different rules can be told apart
+export function rulesKey(source) {
+  if (!source?.extraction) return null;
+  return crypto.createHash("sha1").update(JSON.stringify(source.extraction)).digest("hex").slice(0, 8);
+}
+
+/* ---------------------------------- Admin ----------------------------------- */
+// Creates or updates one domain; fields not in `patch` keep their current value
+export function upsertSource(domain, patch = {}) {
+  const sources = load().sources;
+  const key = String(domain || "").trim().toLowerCase().replace(/^www\./, "");
+  const next = normalizeSource(key, { ...(sources.get(key) || {}), ...patch });
+  const all = new Map(sources);
+  all.set(next.domain, next);
+  save([...all.values()]);
+  return next;
+}
+
+export function removeSource(domain) {
+  const sources = load().sources;
+  const key = String(domain || "").trim().toLowerCase().replace(/^www\./, "");
+  if (!sources.has(key)) return false;
+  save([...sources.values()].filter(s => s.domain !== key));
+  return true;
+}
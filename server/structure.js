@@ -0,0 +1,260 @@
+// structure.js — structured extraction for /api/fetch?mode=structured
+//
+// Turns a page (Readability's cleaned HTML, a registry selector match, or the
+// marked-up text from ./documents.js) into:
+//   text      plain text with headings on their own lines (offsets point here)
+//   sections  [{ id, heading, level, start, end }]
+//   markdown  the same content as Markdown
+// plus page metadata (author, dates, canonical URL, language) and, on request,
+// retrieval chunks with stable ids and character offsets into `text`.
+import { chunkText, sourceIdFor } from "./kb.js";
+
+const BLOCK_TAGS = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DETAILS", "DIV", "DL", "FIGURE", "FOOTER", "FORM", "H1", "H2",
+  "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "TABLE", "UL"
+]);
+
+const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+/* -------------------------------- Metadata ---------------------------------- */
+function metaContent(document, selectors) {
+  for (const sel of selectors) {
+    const v = document.querySelector(sel)?.getAttribute("content");
+    if (v && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+// schema.org JSON-LD blocks often carry the dates and author the HTML doesn't.
+// Takes the raw HTML because /api/fetch strips <script> before parsing.
+export function readJsonLd(html) {
+  const out = {};
+  const re = /<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi;
+  for (const [, body] of String(html || "").matchAll(re)) {
+    try {
+      for (const item of [].concat(JSON.parse(body))) {
+        for (const node of [].concat(item?.["@graph"] || item)) {
+          out.datePublished ??= node?.datePublished;
+          out.dateModified ??= node?.dateModified;
+          const author = [].concat(node?.author || [])[0];
+          out.author ??= typeof author === "string" ? author : author?.name;
+        }
+      }
+    } catch { /* broken JSON-LD is common, ignore it */ }
+  }
+  return out;
+}
+
+export function isoDate(raw) {
+  const t = Date.parse(raw || "");
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// Read before Readability runs — it rewrites the document it is given.
+// `ld` is the readJsonLd() result for the same page.
+export function readMetadata(document, { ld = {}, baseUrl } = {}) {
+  const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute("href");
+  let canonicalUrl = null;
+  try { canonicalUrl = canonical ? new URL(canonical, baseUrl).href : null; } catch { /* keep null */ }
+
+  return {
+    author: metaContent(document, ['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="dc.creator"]']) ||
+      ld.author || null,
+    publishedAt: isoDate(
+      metaContent(document, ['meta[property="article:published_time"]', 'meta[name="dcterms.date"]', 'meta[name="date"]',
+        'meta[name="dc.date"]', 'meta[itemprop="datePublished"]']) ||
+      ld.datePublished ||
+      document.querySelector("time[datetime]")?.getAttribute("datetime")
+    ),
+    modifiedAt: isoDate(
+      metaContent(document, ['meta[property="article:modified_time"]', 'meta[name="last-modified"]',
+        'meta[itemprop="dateModified"]', 'meta[name="dcterms.modified"]']) || ld.dateModified
+    ),
+    canonicalUrl,
+    language: (document.documentElement?.getAttribute("lang") ||
+      metaContent(document, ['meta[http-equiv="content-language"]']) || "").split(/[-_,]/)[0].toLowerCase() || null,
+    siteName: metaContent(document, ['meta[property="og:site_name"]', 'meta[name="application-name"]']),
+    description: metaContent(document, ['meta[name="description"]', 'meta[property="og:description"]'])
+  };
+}
+
+/* --------------------------------- HTML -> blocks ---------------------------- */
+function inlineMarkdown(node) {
+  let out = "";
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      out += child.textContent.replace(/\s+/g, " ");
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    const inner = inlineMarkdown(child).trim();
+    switch (child.tagName) {
+      case "A": {
+        const href = child.href || child.getAttribute("href");
+        out += inner && href && !href.startsWith("javascript:") ? `[${inner}](${href})` : inner;
+        break;
+      }
+      case "STRONG": case "B": out += inner ? `**${inner}**` : ""; break;
+      case "EM": case "I": out += inner ? `*${inner}*` : ""; break;
+      case "CODE": out += inner ? `\`${inner}\`` : ""; break;
+      case "BR": out += "\n"; break;
+      default: out += inlineMarkdown(child);
+    }
+  }
+  return out;
+}
+
+function listBlock(el, depth = 0) {
+  const ordered = el.tagName === "OL";
+  const text = [];
+  const md = [];
+  [...el.children].filter(li => li.tagName === "LI").forEach((li, i) => {
+    const nested = [...li.children].filter(c => c.tagName === "UL" || c.tagName === "OL");
+    const copy = li.cloneNode(true);
+    copy.querySelectorAll("ul, ol").forEach(n => n.remove());
+    const bullet = ordered ? `${i + 1}.` : "-";
+    const pad = "  ".repeat(depth);
+    text.push(`${pad}- ${clean(copy.textContent)}`);
+    md.push(`${pad}${bullet} ${clean(inlineMarkdown(copy))}`);
+    for (const sub of nested) {
+      const b = listBlock(sub, depth + 1);
+      text.push(b.text);
+      md.push(b.md);
+    }
+  });
+  return { type: "list", text: text.join("\n"), md: md.join("\n") };
+}
+
+function tableBlock(el) {
+  const rows = [...el.querySelectorAll("tr")]
+    .map(tr => [...tr.children].map(td => clean(td.textContent).replace(/\|/g, "/")))
+    .filter(cells => cells.some(Boolean));
+  if (!rows.length) return null;
+  const width = Math.max(...rows.map(r => r.length));
+  const pad = (r) => [...r, ...Array(width - r.length).fill("")];
+  const md = [
+    `| ${pad(rows[0]).join(" | ")} |`,
+    `| ${Array(width).fill("---").join(" | ")} |`,
+    ...rows.slice(1).map(r => `| ${pad(r).join(" | ")} |`)
+  ];
+  return { type: "table", text: rows.map(r => r.join(" | ")).join("\n"), md: md.join("\n") };
+}
+
+// Flattens a content root into headings / paragraphs / lists / tables / quotes
+export function blocksFromHtml(root, blocks = []) {
+  for (const el of root.children) {
+    const tag = el.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+      const text = clean(el.textContent);
+      if (text) blocks.push({ type: "heading", level: Number(tag[1]), text, md: text });
+    } else if (tag === "UL" || tag === "OL") {
+      const b = listBlock(el);
+      if (b.text.trim()) blocks.push(b);
+    } else if (tag === "TABLE") {
+      const b = tableBlock(el);
+      if (b) blocks.push(b);
+    } else if (tag === "PRE") {
+      const text = el.textContent.trim();
+      if (text) blocks.push({ type: "code", text, md: "```\n" + text + "\n```" });
+    } else if (tag === "BLOCKQUOTE" && ![...el.children].some(c => BLOCK_TAGS.has(c.tagName) && c.tagName !== "P")) {
+      const text = clean(el.textContent);
+      if (text) blocks.push({ type: "quote", text, md: `> ${clean(inlineMarkdown(el))}` });
+    } else if ([...el.children].some(c => BLOCK_TAGS.has(c.tagName))) {
+      blocksFromHtml(el, blocks); // container: look inside
+    } else if (!["SCRIPT", "STYLE", "NAV", "FORM", "HR"].includes(tag)) {
+      const text = clean(el.textContent);
+      if (text) blocks.push({ type: "paragraph", text, md: clean(inlineMarkdown(el)) || text });
+    }
+  }
+  return blocks;
+}
+
+/* ------------------------- Marked-up text -> blocks -------------------------- */
+// For PDF/DOCX text from ./documents.js ("[Page 3]", "## Heading", "- item")
+// and for pages where only the fallback text extractor worked
+export function blocksFromText(fullText) {
+  const blocks = [];
+  for (const para of String(fullText || "").split(/\n\s*\n/)) {
+    const p = para.trim();
+    if (!p) continue;
+    const page = /^\[Page (\d+)\]\s*\n?([\s\S]*)$/.exec(p);
+    if (page) {
+      blocks.push({ type: "heading", level: 2, text: `Page ${page[1]}`, md: `Page ${page[1]}` });
+      if (page[2].trim()) blocks.push({ type: "paragraph", text: page[2].trim(), md: page[2].trim() });
+    } else if (/^#{1,6} /.test(p)) {
+      const text = p.replace(/^#+\s*/, "");
+      blocks.push({ type: "heading", level: p.match(/^#+/)[0].length, text, md: text });
+    } else if (/^- /.test(p)) {
+      blocks.push({ type: "list", text: p, md: p });
+    } else {
+      blocks.push({ type: "paragraph", text: p, md: p });
+    }
+  }
+  return blocks;
+}
+
+/* --------------------------- Blocks -> structure ---------------------------- */
+// Returns { text, sections, markdown }. Each section runs from its heading to
+// the next heading; content before the first heading is an untitled section.
+export function buildStructure(blocks, { title } = {}) {
+  // the page title is usually repeated as the first heading
+  if (blocks[0]?.type === "heading" && clean(blocks[0].text).toLowerCase() === clean(title).toLowerCase()) {
+    blocks = blocks.slice(1);
+  }
+
+  const sections = [];
+  const md = title ? [`# ${title}`] : [];
+  let text = "";
+  let current = null;
+
+  const append = (s) => {
+    if (text) text += "\n\n";
+    const start = text.length;
+    text += s;
+    return start;
+  };
+
+  for (const b of blocks) {
+    if (b.type === "heading") {
+      const start = append(b.text);
+      current = { id: `s${sections.length + 1}`, heading: b.text, level: b.level, start, end: text.length };
+      sections.push(current);
+      md.push(`${"#".repeat(Math.min(6, Math.max(2, b.level)))} ${b.md}`);
+      continue;
+    }
+    const start = append(b.text);
+    if (!current) {
+      current = { id: `s${sections.length + 1}`, heading: null, level: 0, start, end: text.length };
+      sections.push(current);
+    }
+    current.end = text.length;
+    md.push(b.md);
+  }
+
+  return { text, sections, markdown: md.join("\n\n") };
+}
+
+/* --------------------------------- Chunks ----------------------------------- */
+// Chunks never cross a section boundary. Ids are `<sourceId>#<n>` like the KB
+// (server/kb.js), so the same page text always yields the same ids.
+export function chunkStructure(structure, { url }) {
+  const sourceId = sourceIdFor({ url });
+  const chunks = [];
+  for (const s of structure.sections) {
+    const body = structure.text.slice(s.start, s.end);
+    for (const c of chunkText(body)) {
+      // chunkText trims; shift the offsets so text.slice(start, end) === chunk.text
+      const raw = body.slice(c.start, c.end);
+      const start = s.start + c.start + (raw.length - raw.trimStart().length);
+      chunks.push({
+        id: `${sourceId}#${chunks.length}`,
+        sectionId: s.id,
+        heading: s.heading,
+        start,
+        end: start + c.text.length,
+        text: c.text
+      });
+    }
+  }
+  return chunks;
+}
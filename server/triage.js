@@ -0,0 +1,116 @@
+// triage.js — deterministic danger-sign triage that runs before any LLM call
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const RULES_PATH =
+  process.env.TRIAGE_RULES_PATH || path.join(__dirname, "..", "data", "triage-rules.json");
+
+const DEFAULT_LEVELS = ["none", "low", "medium", "high"];
+
+/* ------------------------------ Rules loading ------------------------------- */
+// Clinical reviewers edit the JSON file directly, so we re-read it whenever its
+// mtime changes. A broken edit keeps the last good rules instead of crashing.
+let loaded = null; // { mtimeMs, version, levels, rules, messages }
+
+function compileRules(raw) {
+  if (!raw || !Array.isArray(raw.rules)) throw new Error("rules file has no `rules` array");
+  const levels = Array.isArray(raw.levels) && raw.levels.length ? raw.levels : DEFAULT_LEVELS;
+
+  const rules = raw.rules.map(r => {
+    if (!r.id || !r.flag) throw new Error(`rule is missing id/flag: ${JSON.stringify(r)}`);
+    if (!levels.includes(r.level)) throw new Error(`rule ${r.id} has unknown level "${r.level}"`);
+
+    const patterns = [];
+    for (const [lang, list] of Object.entries(r.patterns || {})) {
+      for (const src of list || []) {
+        patterns.push({ lang, source: src, re: new RegExp(src, "i") });
+      }
+    }
+    return { id: r.id, flag: r.flag, level: r.level, message: r.message, patterns };
+  });
+
+  return {
+    version: String(raw.version || "unversioned"),
+    levels,
+    rules,
+    messages: raw.messages || {}
+  };
+}
+
+export function loadRules() {
+  let stat;
+  try {
+    stat = fs.statSync(RULES_PATH);
+  } catch (err) {
+    if (loaded) return loaded;
+    throw new Error(`Triage rules not found at ${RULES_PATH}`);
+  }
+  if (loaded && loaded.mtimeMs === stat.mtimeMs) return loaded;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(RULES_PATH, "utf8"));
+    loaded = { mtimeMs: stat.mtimeMs, ...compileRules(raw) };
+    console.log(`Triage rules loaded (version ${loaded.version}, ${loaded.rules.length} rules)`);
+  } catch (err) {
+    if (!loaded) throw err;
+    console.error("Triage rules reload failed, keeping previous version:", err.message);
+  }
+  return loaded;
+}
+
+/* -------------------------------- Matching ---------------------------------- */
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents (e.g. Afrikaans ê, ë)
+    .replace(/[’‘`]/g, "'")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Returns { level, flags, matches, messageId, rulesVersion }.
+// `level` is the highest level of any matching rule ("none" when nothing matched).
+export function triage(text) {
+  const { version, levels, rules } = loadRules();
+  const norm = normalize(text);
+
+  const matches = [];
+  for (const rule of rules) {
+    const hit = rule.patterns.find(p => p.re.test(norm));
+    if (hit) matches.push({ rule: rule.id, flag: rule.flag, level: rule.level, lang: hit.lang, message: rule.message });
+  }
+
+  let level = levels[0];
+  let messageId = null;
+  for (const m of matches) {
+    if (levels.indexOf(m.level) > levels.indexOf(level)) {
+      level = m.level;
+      messageId = m.message || null;
+    }
+  }
+
+  return {
+    level,
+    flags: [...new Set(matches.map(m => m.flag))],
+    matches: matches.map(({ rule, flag, level, lang }) => ({ rule, flag, level, lang })),
+    messageId,
+    rulesVersion: version
+  };
+}
+
+// Fixed, reviewed text for a triage result. Falls back to English when the
+// requested language has no reviewed translation yet.
+export function escalationMessage(result, language = "en") {
+  const { messages } = loadRules();
+  const entry = result?.messageId ? messages[result.messageId] : null;
+  if (!entry) return null;
+  return entry[language] || entry.en || null;
+}
+
+export function isUrgent(result) {
+  return result?.level === "high";
+}
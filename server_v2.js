@@ -1,10 +1,17 @@
-// server.js — Google Programmable Search + hardened article fetcher
+// server.js — trusted-source search (Google CSE, SearXNG, local index) + hardened article fetcher
 import express from "express";
-import axios from "axios";
 import cors from "cors";
 import "dotenv/config";
+import crypto from "node:crypto";
 import { JSDOM } from "jsdom";
 import { Readability } from "@mozilla/readability";
+import { createFetchQueue } from "./server/fetchQueue.js";
+import { normalizeUrl, getCached, putCached, markRevalidated, cacheStats } from "./server/fetchCache.js";
+import { detectFormat, extractPdf, extractDocx } from "./server/documents.js";
+import { safeGet } from "./server/safeFetch.js";
+import { createSearch } from "./server/search/index.js";
+import { isoDate, readJsonLd, readMetadata, blocksFromHtml, blocksFromText, buildStructure, chunkStructure } from "./server/structure.js";
+import { sourceFor, isAllowedSource, allowedDomains, listSources, upsertSource, removeSource, rulesKey } from "./server/sources.js";
 
 const app = express();
 
@@ -19,22 +26,23 @@ app.use(express.json());
 
 /* --------------------------------- Config ----------------------------------- */
 const PORT = process.env.PORT || 8787;
-const GOOGLE_KEY = process.env.GOOGLE_KEY;
-const GOOGLE_CX  = process.env.GOOGLE_CX;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN; // enables /api/admin/*
 
-const ALLOW_LIST = (process.env.ALLOW_LIST || "")
-  .split(",")
-  .map(s => s.trim().toLowerCase())
-  .filter(Boolean); // e.g. who.int,health.gov.za,unicef.org,nice.org.uk,bmj.com
-
-if (ALLOW_LIST.length === 0) {
-  console.warn("WARN: ALLOW_LIST is empty — /api/search and /api/fetch will reject requests.");
+// Trusted domains live in the source registry (data/sources.json, see
+// server/sources.js). ALLOW_LIST only seeds it the first time.
+if (allowedDomains().length === 0) {
+  console.warn("WARN: the source registry is empty — /api/search and /api/fetch will reject requests.");
 }
 
 /* ------------------------- Fetch safety / performance ------------------------ */
 const MAX_BYTES = Number(process.env.FETCH_MAX_BYTES || 2_000_000); // 2 MB cap
-let activeFetches = 0;
-const MAX_CONCURRENT_FETCHES = Number(process.env.FETCH_CONCURRENCY || 2);
+// Requests past FETCH_CONCURRENCY wait their turn (fairly, per client) rather than get a 429
+const fetchQueue = createFetchQueue({
+  concurrency: Number(process.env.FETCH_CONCURRENCY || 2),
+  maxQueued: Number(process.env.FETCH_QUEUE_MAX || 50),
+  maxPerClient: Number(process.env.FETCH_QUEUE_PER_CLIENT || 10),
+  maxWaitMs: Number(process.env.FETCH_QUEUE_WAIT_MS || 20000)
+});
 
 const BROWSER_HEADERS = {
   "User-Agent":
@@ -47,46 +55,69 @@ const BROWSER_HEADERS = {
 
 /* -------------------------------- Helpers ----------------------------------- */
 function hostIsAllowed(url) {
-  try {
-    const h = new URL(url).hostname.toLowerCase();
-    return ALLOW_LIST.some(d => h === d || h.endsWith(`.${d}`));
-  } catch { return false; }
+  return isAllowedSource(url);
 }
-function buildSiteClause() {
-  if (!ALLOW_LIST.length) return "";
-  return ` (${ALLOW_LIST.map(d => `site:${d}`).join(" OR ")})`;
-}
-function mapFreshnessToDateRestrict(f) {
-  const x = String(f || "").toLowerCase();
-  if (x === "day") return "d1";
-  if (x === "week") return "w1";
-  if (x === "month") return "m1";
-  return undefined;
+
+// Google CSE / SearXNG / local index, see config/search.json
+const searchProviders = createSearch({ allowedDomains, isAllowed: hostIsAllowed, sourceFor });
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Admin API is disabled (ADMIN_TOKEN not set)" });
+  const given = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+  const want = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
 }
-function mapMktToGl(mkt) {
-  return (mkt && mkt.includes("-")) ? mkt.split("-")[1] : undefined; // en-ZA -> ZA
+
+// Per-domain rules from the registry: strip `remove` selectors, then take the
+// first `selectors` match with real content. Returns { text, nodes }, with
+// empty text if nothing matched.
+function applyExtractionRules(document, rules) {
+  for (const sel of rules?.remove || []) document.querySelectorAll(sel).forEach(n => n.remove());
+  for (const sel of rules?.selectors || []) {
+    const nodes = [...document.querySelectorAll(sel)];
+    const text = nodes.map(n => n.textContent.trim()).join("\n\n").trim();
+    if (text.replace(/\s+/g, " ").length >= 200) return { text, nodes };
+  }
+  return { text: "", nodes: [] };
 }
 
-// Fetch HTML with a browser-like signature and a soft retry on 403/406/451
-async function fetchHTMLWithRetry(url) {
+// Fetch a page or document with a browser-like signature and a soft retry on
+// 403/406/451. The body comes back as raw bytes (PDF/DOCX need them untouched).
+// `extraHeaders` carries conditional headers when revalidating a cached page.
+// Redirects, DNS and the allow-list are policed hop by hop in ./server/safeFetch.js.
+async function fetchWithRetry(url, extraHeaders = {}) {
   const opts = {
+    isAllowed: hostIsAllowed,
+    maxRedirects: 5,
     timeout: 15000,
-    headers: { ...BROWSER_HEADERS, "Accept-Encoding": "gzip, deflate, br" },
+    responseType: "arraybuffer",
+    headers: { ...BROWSER_HEADERS, "Accept-Encoding": "gzip, deflate, br", ...extraHeaders },
     maxContentLength: MAX_BYTES,
-    maxBodyLength: MAX_BYTES,
-    maxRedirects: 5,
-    validateStatus: () => true // don't throw on non-2xx; we handle it
+    maxBodyLength: MAX_BYTES
   };
 
-  let r = await axios.get(url, opts);
+  let r = await safeGet(url, opts);
   if ([403, 406, 451].includes(r.status)) {
     // retry once with site referer (some WAFs prefer same-site referer)
     const siteRef = new URL(url).origin + "/";
-    r = await axios.get(url, { ...opts, headers: { ...opts.headers, Referer: siteRef } });
+    r = await safeGet(url, { ...opts, headers: { ...opts.headers, Referer: siteRef } });
   }
   return r;
 }
 
+// Bytes -> string using the charset from Content-Type when Node knows it
+function decodeText(data, ctype) {
+  const charset = /charset=["']?([\w-]+)/i.exec(ctype)?.[1] || "utf-8";
+  try {
+    return new TextDecoder(charset).decode(data);
+  } catch {
+    return new TextDecoder("utf-8").decode(data);
+  }
+}
+
 // Fallback extractor for index-like pages where Readability returns little
 function fallbackExtractText(document) {
   const candidates = [
@@ -112,85 +143,78 @@ function fallbackExtractText(document) {
   return best;
 }
 
-/* --------------------------------- Routes ----------------------------------- */
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, time: new Date().toISOString() });
-});
-
-app.get("/api/search", async (req, res) => {
+// Downloads and extracts one page, revalidating `cached` (from ./server/fetchCache.js)
+// when there is one. Never throws: resolves { status, body } for errors or
+// { status: 200, article, cache } where cache is "miss", "revalidated" or "stale".
+async function loadArticle(url, key, cached) {
   try {
-    if (!ALLOW_LIST.length) return res.status(503).json({ error: "ALLOW_LIST is empty on server" });
-    if (!GOOGLE_KEY || !GOOGLE_CX) return res.status(500).json({ error: "Google API not configured" });
-
-    const { q, count = 5, offset = 0, freshness, mkt } = req.query;
-    if (!q || typeof q !== "string") return res.status(400).json({ error: "Missing ?q=" });
-
-    const siteClause   = buildSiteClause();
-    const dateRestrict = mapFreshnessToDateRestrict(freshness);
-    const gl           = mapMktToGl(mkt);
-
-    // Exclude heavy/non-HTML docs upstream to reduce 415/huge pages
-    const exclude = "-filetype:pdf -filetype:doc -filetype:ppt -filetype:docx -filetype:pptx";
-
-    const params = {
-      key: GOOGLE_KEY,
-      cx: GOOGLE_CX,
-      q: `${q} ${exclude}${siteClause}`,
-      num: Math.min(Number(count), 10),  // Google max 10
-      start: Number(offset) + 1,         // 1-based
-      safe: "active"
-    };
-    if (dateRestrict) params.dateRestrict = dateRestrict; // d1/w1/m1
-    if (gl) params.gl = gl;                               // e.g., ZA
-
-    const resp = await axios.get("https://www.googleapis.com/customsearch/v1", { params, timeout: 8000 });
-
-    const raw = resp.data.items || [];
-    const items = raw
-      .filter(it => hostIsAllowed(it.link))
-      .map(it => ({ name: it.title, url: it.link, snippet: it.snippet }));
-
-    const totalResults = Number(resp.data.searchInformation?.totalResults || 0);
-
-    res.json({ query: q, items, totalEstimatedMatches: totalResults });
-  } catch (err) {
-    res.status(err.response?.status || 500).json({ error: err.response?.data || err.message });
-  }
-});
-
-app.get("/api/fetch", async (req, res) => {
-  if (activeFetches >= MAX_CONCURRENT_FETCHES) {
-    return res.status(429).json({ error: "Fetcher is busy, please try again" });
-  }
-  activeFetches++;
+    const conditional = {};
+    if (cached?.etag) conditional["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) conditional["If-Modified-Since"] = cached.lastModified;
 
-  try {
-    const { url } = req.query;
-    if (!url) return res.status(400).json({ error: "Missing ?url=" });
-    if (!hostIsAllowed(url)) return res.status(403).json({ error: "Domain not allowed" });
+    const resp = await fetchWithRetry(url, conditional);
 
-    const resp = await fetchHTMLWithRetry(url);
+    if (resp.status === 304 && cached) {
+      markRevalidated(key);
+      return { status: 200, article: cached.article, cache: "revalidated" };
+    }
 
     // Upstream site explicitly blocked or errored
     if (resp.status >= 400) {
-      if (resp.status === 403) return res.status(403).json({ error: "Forbidden by site (WAF/policy)", url });
-      if (resp.status === 404) return res.status(404).json({ error: "Not found", url });
-      if (resp.status === 429) return res.status(429).json({ error: "Rate limited", url });
-      if (resp.status === 503) return res.status(503).json({ error: "Service unavailable upstream", url });
-      return res.status(500).json({ error: `Upstream HTTP ${resp.status}`, url });
+      // a slightly old copy beats no answer when the site is down
+      if (cached && (resp.status >= 500 || resp.status === 429)) {
+        return { status: 200, article: cached.article, cache: "stale" };
+      }
+      if (resp.status === 403) return { status: 403, body: { error: "Forbidden by site (WAF/policy)", url } };
+      if (resp.status === 404) return { status: 404, body: { error: "Not found", url } };
+      if (resp.status === 429) return { status: 429, body: { error: "Rate limited", url } };
+      if (resp.status === 503) return { status: 503, body: { error: "Service unavailable upstream", url } };
+      return { status: 500, body: { error: `Upstream HTTP ${resp.status}`, url } };
     }
 
     const ctype = String(resp.headers["content-type"] || "");
-    const lowerUrl = String(url).toLowerCase();
-    if (ctype.includes("application/pdf") || lowerUrl.endsWith(".pdf")) {
-      return res.status(415).json({ error: "PDF not supported by extractor", url });
+    const format = detectFormat(ctype, url);
+    if (!format) {
+      return { status: 415, body: { error: `Unsupported content-type: ${ctype || "unknown"}`, url } };
     }
-    if (!ctype.includes("text/html") && !ctype.includes("application/xhtml+xml")) {
-      return res.status(415).json({ error: `Unsupported content-type: ${ctype || "unknown"}`, url });
+
+    // PDF/DOCX guidelines: page and section markers, metadata from the file
+    if (format !== "html") {
+      let doc;
+      try {
+        doc = format === "pdf" ? await extractPdf(resp.data, url) : await extractDocx(resp.data, url);
+      } catch (err) {
+        return { status: 422, body: { error: `Could not read ${format.toUpperCase()}: ${err.message}`, url } };
+      }
+      if (doc.fullText.replace(/\[Page \d+\]/g, "").trim().length < 200) {
+        // usually a scanned PDF with no text layer
+        return { status: 422, body: { error: "Could not extract text from document", url } };
+      }
+
+      const extracted = {
+        url,
+        finalUrl: resp.finalUrl,
+        rules: rulesKey(sourceFor(resp.finalUrl)),
+        ...doc,
+        metadata: {
+          author: doc.document.author || null,
+          publishedAt: isoDate(doc.document.createdAt),
+          modifiedAt: isoDate(doc.document.modifiedAt),
+          canonicalUrl: null,
+          language: null,
+          siteName: null,
+          description: doc.document.subject || null
+        },
+        structure: buildStructure(blocksFromText(doc.fullText), { title: doc.title })
+      };
+      putCached(key, extracted, { etag: resp.headers.etag, lastModified: resp.headers["last-modified"] });
+      return { status: 200, article: extracted, cache: "miss" };
     }
 
-    // Pre-trim heavy elements to save memory before DOM parse
-    let html = String(resp.data)
+    // Pre-trim heavy elements to save memory before DOM parse (JSON-LD metadata first)
+    const raw = decodeText(resp.data, ctype);
+    const ld = readJsonLd(raw);
+    let html = raw
       .replace(/<script[\s\S]*?<\/script>/gi, "")
       .replace(/<style[\s\S]*?<\/style>/gi, "")
       .replace(/<noscript[\s\S]*?<\/noscript>/gi, "")
@@ -199,41 +223,170 @@ app.get("/api/fetch", async (req, res) => {
       .replace(/<video[\s\S]*?<\/video>/gi, "")
       .replace(/<iframe[\s\S]*?<\/iframe>/gi, "");
 
-    const dom = new JSDOM(html, { url }); // set base URL for relative links
-    const reader = new Readability(dom.window.document);
-    let article = reader.parse(); // { title, content, textContent, ... }
-
-    // Use Readability text if present; otherwise fallback to biggest content block
-    let fullText = (article?.textContent || "").trim();
-    if (!fullText || fullText.length < 400) {
-      fullText = fallbackExtractText(dom.window.document).trim();
+    const dom = new JSDOM(html, { url: resp.finalUrl }); // set base URL for relative links
+    const source = sourceFor(resp.finalUrl);
+    const pageTitle = dom.window.document.title;
+    const metadata = readMetadata(dom.window.document, { ld, baseUrl: resp.finalUrl });
+
+    // The domain's own selectors win; Readability and the fallback are for everyone else.
+    // `blocks` keeps the headings/lists/tables for structured mode.
+    let article = null;
+    let blocks;
+    let { text: fullText, nodes } = applyExtractionRules(dom.window.document, source?.extraction);
+    if (fullText) {
+      const wrap = dom.window.document.createElement("div");
+      nodes.forEach(n => wrap.appendChild(n.cloneNode(true)));
+      blocks = blocksFromHtml(wrap);
+    } else {
+      const reader = new Readability(dom.window.document);
+      article = reader.parse(); // { title, content, textContent, ... }
+
+      // Use Readability text if present; otherwise fallback to biggest content block
+      fullText = (article?.textContent || "").trim();
+      if (!fullText || fullText.length < 400) {
+        fullText = fallbackExtractText(dom.window.document).trim();
+        blocks = blocksFromText(fullText);
+      } else {
+        blocks = blocksFromHtml(JSDOM.fragment(article.content));
+      }
     }
 
     if (!fullText || fullText.length < 200) {
-      return res.status(422).json({ error: "Could not extract article", url });
+      return { status: 422, body: { error: "Could not extract article", url } };
     }
 
-    const maxChars = Math.min(Number(req.query.maxChars) || 50000, 200000);
-    const text = fullText.slice(0, maxChars);
-    res.json({
-      title: article?.title || dom.window.document.title || "Untitled",
-      text,
-      meta: {
-        charCount: fullText.length,
-        truncated: fullText.length > maxChars
+    const extracted = {
+      url,
+      finalUrl: resp.finalUrl,
+      rules: rulesKey(source),
+      title: article?.title || pageTitle || "Untitled",
+      fullText,
+      metadata: {
+        ...metadata,
+        author: metadata.author || article?.byline || null,
+        publishedAt: metadata.publishedAt || isoDate(article?.publishedTime),
+        language: metadata.language || article?.lang || null,
+        siteName: metadata.siteName || article?.siteName || null,
+        description: metadata.description || article?.excerpt || null
       }
-    });
+    };
+    extracted.structure = buildStructure(blocks, { title: extracted.title });
+    putCached(key, extracted, { etag: resp.headers.etag, lastModified: resp.headers["last-modified"] });
+    return { status: 200, article: extracted, cache: "miss" };
   } catch (err) {
     const msg = String(err?.message || "");
     if (msg.toLowerCase().includes("maxcontentlength") || msg.toLowerCase().includes("maxbodylength")) {
-      return res.status(413).json({ error: "Page too large to fetch safely", url: req.query.url });
+      return { status: 413, body: { error: "Page too large to fetch safely", url } };
     }
-    res.status(err.response?.status || 500).json({ error: err.response?.data || msg });
-  } finally {
-    activeFetches--;
+    // Refused by the SSRF checks (redirect off the allow-list, private address, …)
+    if (err.reason) return { status: err.status, body: { error: msg, reason: err.reason, url: err.url || url } };
+    if (cached) return { status: 200, article: cached.article, cache: "stale" };
+    return { status: err.response?.status || 500, body: { error: err.response?.data || msg } };
+  }
+}
+
+/* --------------------------------- Routes ----------------------------------- */
+app.get("/api/health", (_req, res) => {
+  res.json({
+    ok: true,
+    time: new Date().toISOString(),
+    search: searchProviders.names(),
+    fetchQueue: fetchQueue.stats(),
+    fetchCache: cacheStats()
+  });
+});
+
+app.get("/api/search", async (req, res) => {
+  try {
+    if (!allowedDomains().length) return res.status(503).json({ error: "Source registry is empty on server" });
+
+    const { q, count = 5, offset = 0, freshness, mkt } = req.query;
+    if (!q || typeof q !== "string") return res.status(400).json({ error: "Missing ?q=" });
+
+    // Every configured provider is asked; results are merged and de-duplicated
+    const { items, totalEstimatedMatches, providers } = await searchProviders.search({ q, count, offset, freshness, mkt });
+    res.json({ query: q, items, totalEstimatedMatches, providers });
+  } catch (err) {
+    const body = { error: err.response?.data || err.message };
+    if (err.providers) body.providers = err.providers;
+    res.status(err.status || err.response?.status || 500).json(body);
   }
 });
 
+app.get("/api/fetch", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing ?url=" });
+  if (!hostIsAllowed(url)) return res.status(403).json({ error: "Domain not allowed", reason: "HOST_NOT_ALLOWED" });
+
+  const maxChars = Math.min(Number(req.query.maxChars) || 50000, 200000);
+  const key = normalizeUrl(url);
+  // mode=structured adds sections, metadata, Markdown and chunks; `text` is then
+  // the structured plain text that section/chunk offsets point into
+  const structured = req.query.mode === "structured";
+
+  const source = sourceFor(url);
+  const send = (article, meta) => {
+    const { title, document } = article;
+    const fullText = structured ? article.structure.text : article.fullText;
+    const body = {
+      title,
+      text: fullText.slice(0, maxChars),
+      meta: {
+        charCount: fullText.length,
+        truncated: fullText.length > maxChars,
+        format: document?.format || "html",
+        ...(document && { document }),
+        source: { domain: source.domain, tier: source.tier, region: source.region, language: source.language },
+        ...meta
+      }
+    };
+    if (structured) {
+      // sections/chunks that start inside the returned text; offsets are into the full text
+      body.metadata = article.metadata;
+      body.sections = article.structure.sections.filter(s => s.start < maxChars);
+      body.markdown = article.structure.markdown.slice(0, maxChars);
+      body.chunks = chunkStructure(article.structure, { url: key }).filter(c => c.start < maxChars);
+      body.meta.mode = "structured";
+    }
+    res.json(body);
+  };
+
+  // Fresh cache entries skip the queue entirely. Pages extracted under older
+  // registry rules for their domain count as not cached.
+  let cached = getCached(key);
+  if (cached && cached.article.rules !== rulesKey(sourceFor(cached.article.finalUrl || url))) cached = null;
+  if (cached && structured && !cached.article.structure) cached = null; // cached before structured extraction existed
+  if (cached?.fresh) return send(cached.article, { cache: "hit", fetchedAt: cached.fetchedAt });
+
+  try {
+    // Same URL already on its way? Share that result instead of fetching twice.
+    const { value: result, merged } = await fetchQueue.run(req.ip, key, () => loadArticle(url, key, cached));
+    if (result.status !== 200) return res.status(result.status).json(result.body);
+    send(result.article, { cache: result.cache, merged });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, url });
+  }
+});
+
+/* ------------------------------ Admin: sources ------------------------------ */
+// Authorization: Bearer $ADMIN_TOKEN. Changes apply to the next request.
+app.get("/api/admin/sources", requireAdmin, (_req, res) => {
+  res.json({ sources: listSources() });
+});
+
+app.put("/api/admin/sources/:domain", requireAdmin, (req, res) => {
+  try {
+    res.json({ source: upsertSource(req.params.domain, req.body || {}) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/admin/sources/:domain", requireAdmin, (req, res) => {
+  if (!removeSource(req.params.domain)) return res.status(404).json({ error: "Source not found" });
+  res.status(204).end();
+});
+
 app.listen(PORT, () => {
   console.log(`Server on http://127.0.0.1:${PORT}`);
 });
@@ -6,13 +6,18 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
-import Groq from "groq-sdk";
+import { runChat } from "./server/chat.js";
+import { providerNames } from "./server/providers/index.js";
+import { createSession, getSession, resetSession, deleteSession } from "./server/sessions.js";
+import { lookupContacts } from "./server/directory.js";
+import { runEpds } from "./server/epds.js";
+import { visitSchedule, visitsCalendar } from "./shared/visits.js";
+import { runMessaging } from "./server/channels/messaging.js";
+import { runUssd } from "./server/channels/ussd.js";
 
 const app = express();
 const PORT = process.env.PORT || 8787;
 
-const groq = new Groq ({apiKey: process.env.GROQ_API_KEY})
-
 // --- MIDDLEWARE ---
 app.use(cors());            // later you can restrict origin (e.g. your frontend URL)
 app.use(express.json());    // so req.body works for JSON
@@ -22,92 +27,140 @@ app.get("/api/health", (req, res) => {
   res.json({
     status: "ok",
     service: "kozani-backend",
+    llm: providerNames(),
     time: new Date().toISOString()
   });
 });
 
-// --- KOZANI CHAT ENDPOINT (STEP 1: dummy implementation) ---
+// --- KOZANI CHAT ENDPOINT ---
 app.post("/api/kozani-chat", async (req, res) => {
+  const { status, body } = await runChat(req.body);
+  res.status(status).json(body);
+});
+
+// --- KOZANI CHAT, STREAMED (Server-Sent Events) ---
+// Same request body as /api/kozani-chat. Emits `token` events ({ text }) as the
+// answer is generated, then one `done` event with the full { answer, sources,
+// safety, meta } payload. `done.answer` is authoritative: the output filter can
+// replace what was streamed, so clients should swap it in.
+app.post("/api/kozani-chat/stream", async (req, res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort(); // client disconnected mid-stream
+  });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // stop proxies (nginx, Render) from buffering
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try {
-    const { query: rawQuery, snippets = [], language = "en", client } = req.body || {};
-
-    if (!rawQuery) {
-      return res.status(400).json({
-        answer: "I didn’t receive anything to respond to.",
-        safety: { ok: false, flags: ["empty_query"] },
-        meta: { model: "none" }
-      });
+    const { status, body } = await runChat(req.body, {
+      onToken: (text) => send("token", { text }),
+      signal: controller.signal
+    });
+    send("done", { ...body, status });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      console.error("Kozani /api/kozani-chat/stream error:", err);
+      send("error", { message: "stream_failed" });
     }
+  } finally {
+    res.end();
+  }
+});
 
-    //const query = sanitizeUserText(rawQuery);
-    const query = rawQuery;
-
-    // 1) Build grounding text from snippets (later you’ll plug your KB here)
-    const grounding = snippets.map(s => s.text).join("\n\n");
-
-    // 2) System prompt: Kozani’s voice + rules
-    const systemPrompt = `
-You are Kozani, an empathetic perinatal companion for expectant and new mothers,
-especially in under-resourced settings.
-
-Your goals:
-- Listen with warmth and respect.
-- Reflect their feelings back gently.
-- Offer clear, simple, practical guidance.
-- Encourage seeking professional help when needed.
-- Never judge, shame, or blame.
-
-Safety rules:
-- DO NOT diagnose or prescribe medication.
-- DO NOT give exact doses or treatment plans.
-- DO NOT contradict local healthcare professionals.
-- If there is any sign of danger (severe pain, heavy bleeding, trouble breathing, thoughts of self-harm),
-  clearly advise the user to seek urgent medical help or visit a clinic/hospital as soon as possible.
-
-Keep responses:
-- Short (4–7 sentences).
-- In plain, simple language.
-- Emotionally validating.
-
-Use this trusted information as background context when relevant (but do not quote it word-for-word):
-
-${grounding}
-    `.trim();
-
-    // 3) Call Groq (Gemma); you can swap gemma-2b-it / gemma-7b-it later
-    const completion = await groq.chat.completions.create({
-      model: "llama-3.1-8b-instant",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: query }
-      ],
-      temperature: 0.4,
-      max_tokens: 400
-    });
+// --- SESSIONS (conversation history) ---
+// Chat requests create a session on first use; clients keep the returned
+// sessionId. These let a user see, clear or erase what we store about them.
+app.post("/api/sessions", (req, res) => {
+  const session = createSession();
+  res.status(201).json(session);
+});
 
-    const answer = completion.choices?.[0]?.message?.content ?? 
-      "I’m sorry, I’m struggling to respond right now.";
-
-    // 4) Send reply back to frontend
-    res.json({
-      answer,
-      safety: { ok: true, flags: [] },
-      meta: {
-        model: "gemma-2b-it",
-        provider: "groq",
-        grounded: snippets.length > 0,
-        language,
-        client
-      }
-    });
+app.get("/api/sessions/:id", (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: "Session not found" });
+  res.json(session);
+});
+
+app.post("/api/sessions/:id/reset", (req, res) => {
+  const session = resetSession(req.params.id);
+  if (!session) return res.status(404).json({ error: "Session not found" });
+  res.json(session);
+});
+
+app.delete("/api/sessions/:id", (req, res) => {
+  if (!deleteSession(req.params.id)) return res.status(404).json({ error: "Session not found" });
+  res.status(204).end();
+});
+
+// --- EMERGENCY DIRECTORY ---
+// ?need=urgent_care (a triage message id) for the numbers offered with that answer
+app.get("/api/directory", (req, res) => {
+  const { need } = req.query;
+  try {
+    res.json(lookupContacts({ need: typeof need === "string" ? need : undefined }));
   } catch (err) {
-    console.error("Kozani /api/kozani-chat error:", err);
-    res.status(500).json({
-      answer: "I’m sorry, something went wrong while thinking. Please try again a bit later.",
-      safety: { ok: false, flags: ["backend_error"] },
-      meta: { model: "none" }
-    });
+    console.error("Kozani /api/directory error:", err);
+    res.status(503).json({ error: "Directory unavailable" });
+  }
+});
+
+// --- EPDS CHECK-IN ---
+// { answers: [option index per question so far], language, sessionId }
+// -> the next question, or the score and what to do about it (see server/epds.js)
+app.post("/api/screening/epds", (req, res) => {
+  const { status, body } = runEpds(req.body);
+  res.status(status).json(body);
+});
+
+// --- ANTENATAL VISITS ---
+// ?dueDate=YYYY-MM-DD or ?lmp=YYYY-MM-DD (first day of the last period);
+// &format=ics returns a calendar file instead of JSON
+app.get("/api/visits", (req, res) => {
+  const { dueDate, lmp, format } = req.query;
+  const schedule = visitSchedule({ dueDate, lmp });
+  if (!schedule) return res.status(400).json({ error: "Give dueDate or lmp as YYYY-MM-DD" });
+
+  if (format === "ics") {
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="kozani-antenatal-visits.ics"');
+    return res.send(visitsCalendar(schedule));
   }
+  res.json(schedule);
+});
+
+// --- SMS / WHATSAPP / USSD ---
+// Provider webhooks post forms, not JSON. Both answer through the same chat
+// pipeline as /api/kozani-chat, with one session per phone number (see
+// server/channels/). Try them locally with `npm run sim`.
+const form = express.urlencoded({ extended: false });
+
+// Twilio-style SMS and WhatsApp; replies with TwiML. TWILIO_AUTH_TOKEN is
+// required (signatures are checked), and CHANNEL_PUBLIC_URL when behind a proxy
+// (the signed URL is the public one).
+app.post("/api/channels/twilio", form, async (req, res) => {
+  const base = process.env.CHANNEL_PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  const { status, body } = await runMessaging(req.body, {
+    url: base.replace(/\/$/, "") + req.originalUrl,
+    signature: req.get("X-Twilio-Signature")
+  });
+  res.status(status).type("text/xml").send(body);
+});
+
+// Africa's Talking-style USSD; replies "CON ..." or "END ...". Needs
+// CHANNEL_USSD_SECRET (as ?key= on the callback URL) and/or CHANNEL_USSD_ALLOWED_IPS
+app.post("/api/channels/ussd", form, async (req, res) => {
+  const { status, body } = await runUssd(req.body, { key: req.query.key, ip: req.ip });
+  res.status(status).type("text/plain").send(body);
 });
 
 
@@ -0,0 +1,297 @@
+// i18n.js — supported languages and fixed interface/safety strings.
+// Shared by the web UI (app.js) and the backend (server/chat.js).
+// Non-English strings still need a first-language speaker's review. Strings a
+// language doesn't have yet are pending translation: t() falls back to English
+// and the web app says so (see untranslatedKeys).
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = {
+  en: { name: "English", native: "English" },
+  zu: { name: "isiZulu", native: "isiZulu" },
+  xh: { name: "isiXhosa", native: "isiXhosa" },
+  st: { name: "Sesotho", native: "Sesotho" },
+  tn: { name: "Setswana", native: "Setswana" },
+  af: { name: "Afrikaans", native: "Afrikaans" }
+};
+
+export const STRINGS = {
+  en: {
+    placeholder: "Type a message…",
+    send: "Send",
+    languageLabel: "Language",
+    autoDetect: "Auto-detect",
+    searchTrusted: "Search trusted sources",
+    thinking: "Thinking…",
+    searching: "Searching trusted sources…",
+    somethingWrong: "⚠️ Something went wrong talking to the model.",
+    connectionError: "Sorry, I couldn’t connect to Kozani’s brain. Please check your connection.",
+    streamDropped: "⚠️ The connection dropped, so this answer may be incomplete. Please try again.",
+    noSearchResults: "I couldn’t find anything on our trusted sites for that. You can ask your clinic too.",
+    searchFailed: "⚠️ I couldn’t search trusted sources right now.",
+    emptyQuery: "I didn’t receive anything to respond to.",
+    backendError: "I’m sorry, something went wrong while thinking. Please try again a bit later.",
+    safeFallback:
+      "I'm not able to give advice about medicines, doses or what condition you might have — " +
+      "a nurse, doctor or pharmacist is the right person for that, and please follow what your clinic has told you. " +
+      "If you're worried, please visit your clinic. I'm here to talk through how you're feeling or what to ask at your next visit.",
+    redactionNote: "(For anything about medicines or doses, please ask your nurse, doctor or pharmacist.)",
+    // Everything below is English only for now, pending translation and review
+    translationPending: "Some of Kozani is still in English while the {language} translation is being checked.",
+    modeOnline: "Online",
+    modeOnDevice: "Offline · answers on this phone",
+    modeOffline: "Offline",
+    answeredOnline: "Answered by Kozani online",
+    answeredOnDevice: "Answered on this phone (offline)",
+    queuedOffline: "You’re offline right now. I’ll send this as soon as you’re connected again.",
+    offlineDownload: "Save Kozani for offline use (large download, use Wi-Fi)",
+    loadingOfflineModel: "Loading the offline model…",
+    offlineReady: "Kozani can now answer offline on this phone.",
+    offlineFailed: "⚠️ The offline model couldn’t be loaded on this phone.",
+    history: "History",
+    newChat: "New chat",
+    noHistory: "No saved conversations yet.",
+    deleteConversation: "Delete",
+    confirmDelete: "Delete this conversation from this phone?",
+    deleteAll: "Delete everything",
+    confirmDeleteAll: "Delete all saved conversations and your passphrase from this phone? This can’t be undone.",
+    deletedAll: "Everything has been deleted from this phone.",
+    exportText: "Share as text",
+    exportPdf: "Print or save as PDF",
+    exportHeading: "Conversation with Kozani",
+    exportNote: "Kozani is a support chat, not a medical record. Please check anything important with your nurse or doctor.",
+    you: "You",
+    privacy: "Privacy",
+    historyLocked: "Your saved chats are locked. Enter your passphrase to see them. If you forgot it, you can only delete everything.",
+    passphraseLabel: "Passphrase",
+    unlock: "Unlock",
+    wrongPassphrase: "That passphrase didn’t work.",
+    setPassphrase: "Protect history with a passphrase",
+    removePassphrase: "Remove passphrase",
+    passphraseSaved: "Your history is now protected. You’ll need the passphrase to see it after a refresh.",
+    passphraseRemoved: "Passphrase removed.",
+    aboutMe: "About me",
+    profileIntro: "Optional. It helps Kozani answer for where you are right now. It stays on this phone and is only sent along with your questions.",
+    profileLocked: "Unlock your history (in History) to see or change this.",
+    stageLegend: "Right now I am…",
+    stagePregnant: "Pregnant",
+    stageBaby: "My baby is born",
+    dueDate: "Due date",
+    babyBirthDate: "Baby’s birth date",
+    firstBabyQuestion: "Is this your first baby?",
+    preferNotToSay: "Prefer not to say",
+    yes: "Yes",
+    no: "No",
+    conditionsLegend: "Anything else you’d like Kozani to know (optional)",
+    condition_diabetes: "Diabetes (or sugar in pregnancy)",
+    condition_high_blood_pressure: "High blood pressure",
+    condition_hiv: "HIV",
+    condition_anaemia: "Anaemia (low iron)",
+    condition_previous_caesarean: "I’ve had a caesarean before",
+    condition_twins: "Twins (or more)",
+    condition_epilepsy: "Epilepsy",
+    condition_asthma: "Asthma",
+    condition_depression_anxiety: "Depression or anxiety",
+    save: "Save",
+    clearProfile: "Clear profile",
+    profileSaved: "Saved. Kozani will keep this in mind.",
+    profileCleared: "Your profile has been cleared.",
+    profileDateInvalid: "That date doesn’t look right, so nothing was saved. Please check it.",
+    profileSummaryPregnant: "About {weeks} pregnant · due {due}",
+    profileSummaryBaby: "Your baby is {age} old",
+    contactsLabel: "Who to call now",
+    callNumber: "Call {number}",
+    smsNumber: "SMS {number}",
+    dialCode: "Dial {code}",
+    epdsOffer: "It sounds like things have been really heavy lately. Would you like to do a short check-in about how you’ve been feeling? It’s 10 questions and takes about two minutes.",
+    epdsStart: "Yes, let’s do the check-in",
+    notNow: "Not now",
+    epdsIntro: "This is the Edinburgh Postnatal Depression Scale, a check-in many clinics use during pregnancy and after birth. For each question, choose the answer that comes closest to how you have felt in the past 7 days, not just today. It isn’t a diagnosis, and you can stop at any time.",
+    epdsQuestion: "Question {step} of {of}",
+    epdsStop: "Stop the check-in",
+    epdsStopped: "That’s fine, we can stop here. I’m still here if you want to talk.",
+    epdsUnavailable: "I can’t run the check-in without a connection right now. Please try again when you’re online.",
+    epdsAnswers: "Check-in answers",
+    epdsSummary: "Edinburgh Postnatal Depression Scale: {score} out of {max}. Question 10 (thoughts of self-harm): {item10}.",
+    suggestionsLabel: "Suggested questions",
+    tools: "Tools",
+    kickCounter: "Kick counter",
+    kickIntro: "Lie on your side and count every kick, flutter, swish or roll until you reach 10. Most babies get there well within 2 hours. If you feel your baby is moving less than usual, don’t wait to count — go to your clinic or hospital now.",
+    kickStart: "Start counting",
+    kickTap: "I felt a movement",
+    kickReadout: "{count} of 10 movements · {time}",
+    contractionTimer: "Contraction timer",
+    contractionIntro: "Tap when a contraction starts and again when it ends. Kozani works out how long they last and how far apart they are.",
+    contractionStart: "A contraction started",
+    contractionEnd: "It ended",
+    contractionRunning: "Contraction going on · {time}",
+    contractionRow: "{duration} long · {interval} since the one before",
+    toolDone: "Finish and tell Kozani",
+    clear: "Clear",
+    open_kick_counter: "Open the kick counter",
+    open_contraction_timer: "Time my contractions",
+    toolUrgent: "From what you recorded, please go to your nearest clinic or hospital now, or call an ambulance on 10177 (or 112 from a cellphone).",
+    visitsNeedDueDate: "I can work out your clinic visits from your due date. Add it under “About me”, or send /visits followed by the date, like /visits 2027-03-14.",
+    lmpLabel: "Don’t know your due date? First day of your last period",
+    visitsHeading: "Your clinic visits",
+    visitsNote: "The usual schedule in South Africa. Your clinic may give you different dates — theirs are the ones to follow.",
+    visitWeek: "Week {week}",
+    visitBy: "by week {week}",
+    visitNext: "Next",
+    downloadVisits: "Add to my calendar",
+    visitReminders: "Remind me when a visit is coming up",
+    visitReminder: "Reminder: your antenatal clinic visit ({week}) is {when}. Bring your clinic card.",
+    today: "today",
+    tomorrow: "tomorrow",
+    inDays: "in {days} days",
+    followUpNormal: "Is this normal?",
+    followUpClinic: "When should I go to the clinic?",
+    followUpDangerSigns: "Which danger signs should I watch for?",
+    followUpTonight: "Tips for tonight",
+    followUpBabySleep: "How much should my baby sleep?",
+    followUpEnoughMilk: "How do I know my baby is getting enough milk?",
+    followUpLatch: "How can I help my baby latch better?",
+    followUpPainAtHome: "What can I do for the pain at home?",
+    followUpFeelingNormal: "Is it normal to feel like this?",
+    followUpTalkTo: "Who can I talk to?",
+    followUpCalmer: "Something to help me feel calmer",
+    followUpHospitalBag: "What should I pack for the hospital?",
+    followUpWhatElse: "What else can I try?",
+    epdsResultLow: "Thank you for answering. Your answers don’t suggest depression right now. Feelings can change a lot during pregnancy and the first year with a baby, so if you start to feel low, worried or unable to cope for more than two weeks, please do the check-in again or talk to your clinic.",
+    epdsResultPossible: "Thank you for answering so honestly. Your answers suggest you may be going through a hard time, which is very common and nothing to be ashamed of. Please show this result to a nurse or doctor at your next clinic visit, and try the check-in again in two weeks. If things get worse before then, go to your clinic sooner.",
+    epdsResultLikely: "Thank you for answering so honestly. Your answers suggest you may be living with depression, which many mothers go through and which can be treated. Please go to your clinic this week and show a nurse or doctor this result. You can also talk to a counsellor for free on the numbers below. You don’t have to manage this alone.",
+    channelHelp: "Hi, I’m Kozani, a companion for pregnancy and the first year with a baby. Send me any question or worry. Send NEW to start a new conversation, or DELETE to erase what we have talked about. In an emergency call 10177 (or 112 from a cellphone).",
+    channelReset: "OK, we are starting a new conversation. What would you like to talk about?",
+    channelForgotten: "Done. I have deleted our conversation. You can message me again any time.",
+    channelTextOnly: "Sorry, I can only read text messages. Please type your question.",
+    ussdMenu: "Kozani\n1. Ask a question\n2. Emergency numbers\n3. Danger signs",
+    ussdAsk: "Type your question:",
+    ussdMore: "More",
+    ussdInvalid: "Sorry, that is not one of the choices. Please dial again.",
+    ussdSlow: "Kozani is taking too long to answer. Please try again, or send your question by SMS.",
+    dangerSignsList: "Go to a clinic or hospital now if you have: heavy bleeding; a bad headache or blurred vision; fits; severe belly pain; fever; swollen face or hands; your waters breaking; baby moving less; thoughts of harming yourself or your baby. Ambulance: 10177, or 112 from a cellphone."
+  },
+  zu: {
+    placeholder: "Bhala umlayezo…",
+    send: "Thumela",
+    languageLabel: "Ulimi",
+    autoDetect: "Thola ngokuzenzakalelayo",
+    searchTrusted: "Sesha emithonjeni ethembekile",
+    thinking: "Ngiyacabanga…",
+    searching: "Ngisesha emithonjeni ethembekile…",
+    somethingWrong: "⚠️ Kukhona okungahambanga kahle. Sicela uzame futhi.",
+    connectionError: "Uxolo, angikwazanga ukuxhumana noKozani. Sicela uhlole uxhumano lwakho.",
+    streamDropped: "⚠️ Uxhumano lunqamukile, ngakho le mpendulo ingase ingaphelele. Sicela uzame futhi.",
+    noSearchResults: "Angitholanga lutho kumawebhusayithi ethembekile ngalokho. Ungabuza nasemtholampilo wakho.",
+    searchFailed: "⚠️ Angikwazi ukusesha emithonjeni ethembekile manje.",
+    emptyQuery: "Angitholanga lutho engingaluphendula.",
+    backendError: "Ngiyaxolisa, kukhona okungahambanga kahle. Sicela uzame futhi emva kwesikhashana.",
+    safeFallback:
+      "Angikwazi ukunikeza iseluleko ngemithi, ngemithamo noma ukuthi yisiphi isifo onaso — " +
+      "umhlengikazi, udokotela noma usokhemisi nguye ofanele lokho, futhi sicela ulandele lokho okutshelwe umtholampilo wakho. " +
+      "Uma ukhathazekile, sicela uvakashele umtholampilo wakho. Ngilapha ukuze sikhulume ngendlela ozizwa ngayo.",
+    redactionNote: "(Ngemibuzo ephathelene nemithi noma imithamo, sicela ubuze umhlengikazi, udokotela noma usokhemisi.)"
+  },
+  xh: {
+    placeholder: "Bhala umyalezo…",
+    send: "Thumela",
+    languageLabel: "Ulwimi",
+    autoDetect: "Fumanisa ngokuzenzekelayo",
+    searchTrusted: "Khangela kwimithombo ethembekileyo",
+    thinking: "Ndiyacinga…",
+    searching: "Ndikhangela kwimithombo ethembekileyo…",
+    somethingWrong: "⚠️ Kukho into engahambanga kakuhle. Nceda uzame kwakhona.",
+    connectionError: "Uxolo, andikwazanga ukunxibelelana noKozani. Nceda ujonge uqhagamshelo lwakho.",
+    streamDropped: "⚠️ Uqhagamshelo luqhawukile, ngoko le mpendulo isenokungagqitywa. Nceda uzame kwakhona.",
+    noSearchResults: "Andifumananga nto kwiiwebhusayithi ezithembekileyo malunga noko. Ungabuza nakwikliniki yakho.",
+    searchFailed: "⚠️ Andikwazi ukukhangela kwimithombo ethembekileyo ngoku.",
+    emptyQuery: "Andifumananga nto yokuphendula.",
+    backendError: "Ndiyaxolisa, kukho into engahambanga kakuhle. Nceda uzame kwakhona kamva.",
+    safeFallback:
+      "Andikwazi ukunika ingcebiso ngamayeza, imilinganiselo okanye isifo onaso — " +
+      "umongikazi, ugqirha okanye usokhemesti ngoyena ufanelekileyo, kwaye nceda ulandele oko uxelelwe kona yikliniki yakho. " +
+      "Ukuba unexhala, nceda undwendwele ikliniki yakho. Ndilapha ukuze sithethe ngendlela oziva ngayo.",
+    redactionNote: "(Ngemibuzo engamayeza okanye imilinganiselo, nceda ubuze umongikazi, ugqirha okanye usokhemesti.)"
+  },
+  st: {
+    placeholder: "Ngola molaetsa…",
+    send: "Romela",
+    languageLabel: "Puo",
+    autoDetect: "Iponele puo",
+    searchTrusted: "Batla mehloding e tshepahalang",
+    thinking: "Ke a nahana…",
+    searching: "Ke batla mehloding e tshepahalang…",
+    somethingWrong: "⚠️ Ho na le ho hong ho sa tsamaeang hantle. Ka kopo leka hape.",
+    connectionError: "Ke kopa tshwarelo, ha ke a kgona ho ikopanya le Kozani. Ka kopo sheba kgokahano ya hao.",
+    streamDropped: "⚠️ Kgokahano e kgaohile, kahoo karabo ena e kanna ya se phethehe. Ka kopo leka hape.",
+    noSearchResults: "Ha ke a fumana letho mehloding e tshepahalang ka taba eo. O ka botsa le tleliniking ya hao.",
+    searchFailed: "⚠️ Ha ke kgone ho batla mehloding e tshepahalang hona jwale.",
+    emptyQuery: "Ha ke a fumana letho leo nka le arabang.",
+    backendError: "Ke kopa tshwarelo, ho na le ho hong ho sa tsamaeang hantle. Ka kopo leka hape hamorao.",
+    safeFallback:
+      "Ha ke kgone ho fana ka keletso ka meriana, ditekanyo kapa hore na o na le lefu lefe — " +
+      "mooki, ngaka kapa rakhemisi ke yena ya loketseng seo, mme ka kopo latela seo tleliniki ya hao e o boleletseng sona. " +
+      "Haeba o tshwenyehile, ka kopo etela tleliniki ya hao. Ke teng ho bua le wena ka hore na o ikutlwa jwang.",
+    redactionNote: "(Bakeng sa dipotso ka meriana kapa ditekanyo, ka kopo botsa mooki, ngaka kapa rakhemisi.)"
+  },
+  tn: {
+    placeholder: "Kwala molaetsa…",
+    send: "Romela",
+    languageLabel: "Puo",
+    autoDetect: "Itlhaolele puo",
+    searchTrusted: "Batla mo metsweding e e ikanyegang",
+    thinking: "Ke a akanya…",
+    searching: "Ke batla mo metsweding e e ikanyegang…",
+    somethingWrong: "⚠️ Go na le sengwe se se sa tsamaeng sentle. Tsweetswee leka gape.",
+    connectionError: "Maitshwarelo, ga ke a kgona go ikgolaganya le Kozani. Tsweetswee tlhola kgolagano ya gago.",
+    streamDropped: "⚠️ Kgolagano e kgaogile, ka jalo karabo e e ka nna ya se fele. Tsweetswee leka gape.",
+    noSearchResults: "Ga ke a bona sepe mo metsweding e e ikanyegang ka seo. O ka botsa le kwa kliniking ya gago.",
+    searchFailed: "⚠️ Ga ke kgone go batla mo metsweding e e ikanyegang jaanong.",
+    emptyQuery: "Ga ke a amogela sepe se ke ka se arabang.",
+    backendError: "Maitshwarelo, go na le sengwe se se sa tsamaeng sentle. Tsweetswee leka gape moragonyana.",
+    safeFallback:
+      "Ga ke kgone go naya kgakololo ka melemo, selekanyo kgotsa gore o na le bolwetse bofe — " +
+      "mooki, ngaka kgotsa rakhemisi ke ene yo o siameng, mme tsweetswee latela se kliniki ya gago e go boleletseng sone. " +
+      "Fa o tshwenyegile, tsweetswee etela kliniki ya gago. Ke fano go bua le wena ka fa o ikutlwang ka teng.",
+    redactionNote: "(Ka dipotso ka melemo kgotsa selekanyo, tsweetswee botsa mooki, ngaka kgotsa rakhemisi.)"
+  },
+  af: {
+    placeholder: "Tik 'n boodskap…",
+    send: "Stuur",
+    languageLabel: "Taal",
+    autoDetect: "Outomaties",
+    searchTrusted: "Soek betroubare bronne",
+    thinking: "Ek dink…",
+    searching: "Soek betroubare bronne…",
+    somethingWrong: "⚠️ Iets het verkeerd geloop. Probeer asseblief weer.",
+    connectionError: "Jammer, ek kon nie aan Kozani koppel nie. Kontroleer asseblief jou verbinding.",
+    streamDropped: "⚠️ Die verbinding is verbreek, so hierdie antwoord is dalk onvolledig. Probeer asseblief weer.",
+    noSearchResults: "Ek kon niks daaroor op ons betroubare webwerwe kry nie. Jy kan ook by jou kliniek vra.",
+    searchFailed: "⚠️ Ek kan nie nou betroubare bronne deursoek nie.",
+    emptyQuery: "Ek het niks ontvang om op te antwoord nie.",
+    backendError: "Jammer, iets het verkeerd geloop. Probeer asseblief later weer.",
+    safeFallback:
+      "Ek kan nie raad gee oor medisyne, dosisse of watter toestand jy dalk het nie — " +
+      "'n verpleegster, dokter of apteker is die regte persoon daarvoor, en volg asseblief wat jou kliniek vir jou gesê het. " +
+      "As jy bekommerd is, besoek asseblief jou kliniek. Ek is hier om te praat oor hoe jy voel.",
+    redactionNote: "(Vra asseblief jou verpleegster, dokter of apteker oor medisyne of dosisse.)"
+  }
+};
+
+export function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Look up a string, falling back to English for anything not yet translated
+export function t(lang, key) {
+  return STRINGS[lang]?.[key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+}
+
+export function isTranslated(lang, key) {
+  return lang === DEFAULT_LANGUAGE || STRINGS[lang]?.[key] !== undefined;
+}
+
+// Keys `lang` still shows in English
+export function untranslatedKeys(lang) {
+  return Object.keys(STRINGS[DEFAULT_LANGUAGE]).filter(key => !isTranslated(lang, key));
+}
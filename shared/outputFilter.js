@@ -0,0 +1,206 @@
+// outputFilter.js — post-generation safety check for model answers.
+// Plain ES module with no Node/browser APIs so both server_v3.js and the
+// on-device WebLLM path (client/localModel.js) can import it.
+import { t } from "./i18n.js";
+
+/* --------------------------------- Patterns --------------------------------- */
+const DOSE_PATTERNS = [
+  /\b\d+(?:[.,]\d+)?\s?(?:mg|mcg|µg|g|ml|iu|units?)\b/i,
+  /\b(?:\d+|one|two|three|four|half an?|a half)\s+(?:tablets?|pills?|capsules?|drops|teaspoons?|tablespoons?|spoonfuls?|sachets?)\b/i,
+  /\b(?:once|twice|three times|four times|\d+\s*(?:x|times))\s+(?:a|per|each)\s+day\b/i
+];
+
+// Feeds and naps come "every 2 to 3 hours" too, so an interval only counts as a
+// dose next to a drug name, or when the sentence says to take/give a medicine
+const INTERVAL_RE = /\bevery\s+\d+(?:\s*(?:-|to)\s*\d+)?\s+hours?\b/i;
+const MEDICINE_RE = /\b(?:medicines?|medication|tablets?|pills?|capsules?|painkillers?|syrup|drops|doses?|mg|ml)\b/i;
+
+// Generic and common South African brand names. Only flagged when the
+// sentence also recommends taking/using them (see RECOMMEND_RE).
+const DRUG_NAMES = [
+  "paracetamol", "panado", "ibuprofen", "nurofen", "myprodol", "stopayne", "grand-pa",
+  "aspirin", "disprin", "codeine", "tramadol", "diclofenac", "voltaren",
+  "amoxicillin", "augmentin", "metronidazole", "flagyl", "fluconazole", "ciprofloxacin",
+  "misoprostol", "cytotec", "oxytocin", "magnesium sulphate", "magnesium sulfate",
+  "labetalol", "methyldopa", "aldomet", "nifedipine", "metformin", "insulin",
+  "sertraline", "fluoxetine", "citalopram", "escitalopram", "amitriptyline",
+  "domperidone", "metoclopramide", "promethazine", "valoid", "cyclizine"
+];
+const DRUG_RE = new RegExp(`\\b(?:${DRUG_NAMES.map(d => d.replace(/[-\s]/g, "[-\\s]?")).join("|")})\\b`, "i");
+const RECOMMEND_RE = /\b(?:take|taking|use|using|try|give|giving|start|double|increase|swallow)\b/i;
+
+const CONDITIONS =
+  "pre-?eclampsia|eclampsia|gestational diabetes|diabetes|post(?:partum|natal) (?:depression|psychosis)|" +
+  "depression|anxiety disorder|mastitis|an? (?:infection|uti)|urinary tract infection|sepsis|" +
+  "placental abruption|placenta pr(?:a|e)evia|an? miscarriage|(?:an )?ectopic pregnancy|an(?:a)?emia|" +
+  "thrush|hypertension|hyperemesis(?: gravidarum)?|cholestasis|jaundice";
+const DIAGNOSIS_PATTERNS = [
+  new RegExp(`\\byou (?:have|'ve got|have got|are suffering from|(?:most )?(?:likely|probably|definitely|clearly) have)\\s+(?:${CONDITIONS})\\b`, "i"),
+  new RegExp(`\\b(?:this|it|that) (?:is|sounds like|looks like) (?:definitely |probably |likely |clearly )?(?:${CONDITIONS})\\b`, "i"),
+  new RegExp(`\\byour (?:baby|child) (?:has|is suffering from)\\s+(?:${CONDITIONS})\\b`, "i")
+];
+
+// Anything that undermines the user's own health workers makes the whole answer unsafe.
+const CONTRADICTION_PATTERNS = [
+  /\b(?:ignore|don'?t listen to|do not listen to|disregard) (?:your|the) (?:doctor|nurse|midwife|clinic|health ?worker)/i,
+  /\bstop taking (?:your|the) (?:medication|medicine|tablets|pills|treatment)/i,
+  /\b(?:no need|don'?t need|do not need) to (?:see|go to|visit|call) (?:a|the|your) (?:doctor|nurse|clinic|hospital|midwife)/i,
+  /\byour (?:doctor|nurse|midwife) (?:is|was) wrong\b/i
+];
+
+// English defaults; callers pass translated `fallback` / `note` (see shared/i18n.js)
+export const SAFE_FALLBACK = t("en", "safeFallback");
+export const REDACTION_NOTE = t("en", "redactionNote");
+
+export const REGENERATE_INSTRUCTION =
+  "Your previous answer broke the safety rules. Answer again without naming medicines, " +
+  "without any doses or amounts, without saying what condition the user has, " +
+  "and without contradicting their health workers.";
+
+/* --------------------------------- Checking --------------------------------- */
+function splitSentences(text) {
+  return String(text || "").match(/[^.!?\n]*(?:[.!?]+|\n+)|[^.!?\n]+$/g) || [];
+}
+
+// Returns { ok, action: "none"|"redact"|"block", findings: [{ type, match, sentence }] }
+export function validateAnswer(text) {
+  const findings = [];
+
+  for (const sentence of splitSentences(text)) {
+    const s = sentence.trim();
+    if (!s) continue;
+
+    for (const re of CONTRADICTION_PATTERNS) {
+      const m = s.match(re);
+      if (m) findings.push({ type: "contradiction", match: m[0], sentence: s });
+    }
+    const drug = s.match(DRUG_RE);
+    const interval = s.match(INTERVAL_RE);
+    const dose = DOSE_PATTERNS.map(re => s.match(re)).find(Boolean) ||
+      (interval && (drug || (RECOMMEND_RE.test(s) && MEDICINE_RE.test(s))) ? interval : null);
+    if (dose) findings.push({ type: "dose", match: dose[0], sentence: s });
+    if (drug && RECOMMEND_RE.test(s)) findings.push({ type: "drug", match: drug[0], sentence: s });
+    for (const re of DIAGNOSIS_PATTERNS) {
+      const m = s.match(re);
+      if (m) { findings.push({ type: "diagnosis", match: m[0], sentence: s }); break; }
+    }
+  }
+
+  let action = "none";
+  if (findings.length) action = findings.some(f => f.type === "contradiction") ? "block" : "redact";
+  return { ok: findings.length === 0, action, findings };
+}
+
+// Drops offending sentences. Returns null when too little is left to be useful.
+export function redactAnswer(text, findings, note = REDACTION_NOTE) {
+  const bad = new Set(findings.map(f => f.sentence));
+  const kept = splitSentences(text).filter(s => !bad.has(s.trim()));
+  const out = kept.join("").replace(/\n{3,}/g, "\n\n").trim();
+  if (out.length < 80) return null;
+  return `${out}\n\n${note}`;
+}
+
+function flagsFor(findings) {
+  return [...new Set(findings.map(f => `output_${f.type}`))];
+}
+
+/* ------------------------------ Full guard loop ----------------------------- */
+// `generate(extraInstruction)` must return the model's answer text. It is called
+// once, and again with REGENERATE_INSTRUCTION if the first answer can't be
+// redacted safely. Returns { answer, flags, meta } where meta records what happened.
+export async function guardCompletion(generate, { maxRegenerations = 1, fallback = SAFE_FALLBACK, note = REDACTION_NOTE } = {}) {
+  const allFindings = [];
+  let attempts = 0;
+  let instruction = null;
+
+  while (attempts <= maxRegenerations) {
+    attempts++;
+    const text = await generate(instruction);
+    const check = validateAnswer(text);
+
+    if (check.ok) {
+      return {
+        answer: text,
+        flags: attempts > 1 ? [...flagsFor(allFindings), "output_regenerated"] : [],
+        meta: { action: attempts > 1 ? "regenerated" : "none", attempts, findings: summarize(allFindings) }
+      };
+    }
+    allFindings.push(...check.findings);
+
+    if (check.action === "redact") {
+      const redacted = redactAnswer(text, check.findings, note);
+      if (redacted) {
+        return {
+          answer: redacted,
+          flags: [...flagsFor(allFindings), "output_redacted"],
+          meta: { action: "redacted", attempts, findings: summarize(allFindings) }
+        };
+      }
+    }
+    instruction = REGENERATE_INSTRUCTION;
+  }
+
+  return {
+    answer: fallback,
+    flags: [...flagsFor(allFindings), "output_fallback"],
+    meta: { action: "fallback", attempts, findings: summarize(allFindings) }
+  };
+}
+
+function summarize(findings) {
+  return findings.map(({ type, match }) => ({ type, match }));
+}
+
+/* ----------------------------- Streaming guard ------------------------------ */
+// For streamed answers we can't regenerate, so text is released to `emit` one
+// sentence at a time, and only after that sentence passes the checks. Unsafe
+// sentences are held back. finish() returns the same { answer, flags, meta }
+// shape as guardCompletion; `answer` may differ from what was emitted (a
+// contradiction swaps the whole answer for the fallback), so clients should
+// replace the streamed text with it.
+export function createStreamingGuard(emit, { fallback = SAFE_FALLBACK, note = REDACTION_NOTE } = {}) {
+  const findings = [];
+  let pending = "";
+  let released = "";
+
+  function release(text) {
+    for (const sentence of splitSentences(text)) {
+      const check = validateAnswer(sentence);
+      if (check.ok) {
+        released += sentence;
+        emit(sentence);
+      } else {
+        findings.push(...check.findings);
+      }
+    }
+  }
+
+  return {
+    push(delta) {
+      pending += delta;
+      // everything up to the last sentence boundary is complete
+      let cut = -1;
+      for (const m of pending.matchAll(/[.!?]+(?=\s)|\n+/g)) cut = m.index + m[0].length;
+      if (cut > 0) {
+        release(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+
+    finish() {
+      if (pending) release(pending);
+      pending = "";
+
+      if (!findings.length) {
+        return { answer: released.trim(), flags: [], meta: { action: "none", attempts: 1, findings: [] } };
+      }
+
+      const blocked = findings.some(f => f.type === "contradiction") || released.trim().length < 80;
+      return {
+        answer: blocked ? fallback : `${released.trim()}\n\n${note}`,
+        flags: [...flagsFor(findings), blocked ? "output_fallback" : "output_redacted"],
+        meta: { action: blocked ? "fallback" : "redacted", attempts: 1, findings: summarize(findings) }
+      };
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// profile.js — the optional pregnancy / baby profile, shared by app.js and server/chat.js.
+// Plain ES module with no Node/browser APIs, like outputFilter.js.
+//
+// The profile holds dates; the model only ever sees what they mean today
+// ("24 weeks pregnant", "6 weeks old"), recomputed on every message.
+import { visitSchedule, parseDay, dayOf } from "./visits.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+
+// Conditions someone can choose to share. Keys travel to the server; the
+// descriptions are what the model reads. A fixed list keeps free text (and
+// whatever might be typed into it) out of the system prompt.
+export const CONDITIONS = {
+  diabetes: "diabetes (including diabetes in pregnancy)",
+  high_blood_pressure: "high blood pressure",
+  hiv: "HIV",
+  anaemia: "anaemia",
+  previous_caesarean: "a previous caesarean birth",
+  twins: "a twin (or more) pregnancy",
+  epilepsy: "epilepsy",
+  asthma: "asthma",
+  depression_anxiety: "depression or anxiety"
+};
+
+/* ------------------------------- Validation --------------------------------- */
+// Keeps only what we understand; anything implausible is dropped rather than guessed at.
+// Returns { dueDate, babyBirthDate, firstBaby, conditions } or null when nothing is left.
+export function normalizeProfile(raw, today = new Date()) {
+  if (!raw || typeof raw !== "object") return null;
+  const now = dayOf(today);
+
+  const due = parseDay(raw.dueDate);
+  const dueDate = due !== null && due > now - 6 * 7 * DAY_MS && due < now + 44 * 7 * DAY_MS ? raw.dueDate : null;
+
+  const born = parseDay(raw.babyBirthDate);
+  const babyBirthDate = born !== null && born <= now && born > now - 5 * 366 * DAY_MS ? raw.babyBirthDate : null;
+
+  const firstBaby = typeof raw.firstBaby === "boolean" ? raw.firstBaby : null;
+  const conditions = Array.isArray(raw.conditions)
+    ? [...new Set(raw.conditions.filter(c => Object.prototype.hasOwnProperty.call(CONDITIONS, c)))]
+    : [];
+
+  if (!dueDate && !babyBirthDate && firstBaby === null && !conditions.length) return null;
+  return { dueDate, babyBirthDate, firstBaby, conditions };
+}
+
+/* ---------------------------------- Stage ----------------------------------- */
+// Where someone is today. A birth date wins over a due date (the baby has arrived).
+//   { phase: "pregnancy", week, day, trimester, daysToDue }
+//   { phase: "postpartum", babyAgeDays, babyAge: { value, unit } }
+// or null when the profile has neither date.
+export function profileStage(profile, today = new Date()) {
+  const now = dayOf(today);
+
+  const born = parseDay(profile?.babyBirthDate);
+  if (born !== null) {
+    const days = Math.round((now - born) / DAY_MS);
+    return { phase: "postpartum", babyAgeDays: days, babyAge: babyAge(born, today, days) };
+  }
+
+  const due = parseDay(profile?.dueDate);
+  if (due !== null) {
+    const daysToDue = Math.round((due - now) / DAY_MS);
+    const pregnantDays = Math.max(0, PREGNANCY_DAYS - daysToDue);
+    const week = Math.floor(pregnantDays / 7);
+    return {
+      phase: "pregnancy",
+      week,
+      day: pregnantDays % 7,
+      trimester: week < 14 ? 1 : week < 28 ? 2 : 3,
+      daysToDue
+    };
+  }
+  return null;
+}
+
+function babyAge(born, today, days) {
+  if (days < 14) return { value: days, unit: "day" };
+  if (days < 13 * 7) return { value: Math.floor(days / 7), unit: "week" };
+  const b = new Date(born);
+  let months = (today.getFullYear() - b.getUTCFullYear()) * 12 + today.getMonth() - b.getUTCMonth();
+  if (today.getDate() < b.getUTCDate()) months--;
+  if (months < 24) return { value: months, unit: "month" };
+  return { value: Math.floor(months / 12), unit: "year" };
+}
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+
+/* ---------------------------------- Prompt ---------------------------------- */
+// English lines for a system prompt, or "" when there is no profile.
+// Used by the backend prompt and by the on-device model.
+export function profilePrompt(profile, today = new Date()) {
+  if (!profile) return "";
+  const stage = profileStage(profile, today);
+  const lines = [];
+
+  if (stage?.phase === "pregnancy") {
+    if (stage.daysToDue < -14) {
+      lines.push("She gave a due date more than two weeks ago and hasn't added a birth date, so the baby may already be born — don't assume either way.");
+    } else {
+      lines.push(`She is about ${plural(stage.week, "week")} pregnant (trimester ${stage.trimester}).`);
+      const next = visitSchedule({ dueDate: profile.dueDate }, today)?.next;
+      if (next) {
+        lines.push(`Her next antenatal clinic visit is due ${next.by ? "by" : "around"} week ${next.week} (${next.date}). Usual checks: ${next.checks.join("; ")}.`);
+      }
+    }
+  } else if (stage?.phase === "postpartum") {
+    lines.push(`Her baby is ${plural(stage.babyAge.value, stage.babyAge.unit)} old.`);
+  }
+  if (profile.firstBaby === true) lines.push("This is her first baby.");
+  if (profile.firstBaby === false) lines.push("She has had a baby before.");
+  if (profile.conditions?.length) {
+    lines.push(`She has chosen to share that she has: ${profile.conditions.map(c => CONDITIONS[c]).join("; ")}.`);
+  }
+  if (!lines.length) return "";
+
+  return [
+    "About the person you are talking to (from a profile she filled in; it may be out of date):",
+    ...lines.map(l => `- ${l}`),
+    "Use this to make your answer fit her stage. Don't repeat it back unless it helps, and never treat a condition as a diagnosis you made."
+  ].join("\n");
+}
@@ -0,0 +1,133 @@
+// tools.js — the kick counter and contraction timer: when the chat suggests
+// them, and what their results mean. Shared by server/chat.js (which decides,
+// so a result can raise the same urgent answer as a triage rule) and app.js
+// (which runs the tools and needs the same verdict when offline).
+// Plain ES module with no Node/browser APIs, like profile.js.
+//
+// Thresholds follow common South African / WHO-based antenatal advice and must
+// be confirmed in clinical review along with data/triage-rules.json.
+const MINUTE_MS = 60 * 1000;
+
+export const TOOLS = ["kick_counter", "contraction_timer"];
+
+// Count-to-ten: ten movements within two hours is reassuring
+const KICK_TARGET = 10;
+const KICK_WINDOW_MIN = 120;
+const KICKS_FROM_WEEK = 28; // before this, movements aren't regular enough to count
+
+// 5-1-1: contractions five minutes apart or less, lasting a minute, for an hour
+const LABOUR_INTERVAL_MIN = 5;
+const LABOUR_DURATION_SEC = 60;
+const LABOUR_SPAN_MIN = 60;
+// Before 37 weeks, four or more in an hour may be preterm labour
+const PRETERM_BEFORE_WEEK = 37;
+const PRETERM_PER_HOUR = 4;
+
+/* --------------------------------- Suggesting ------------------------------- */
+// Only for questions *about* movements or contractions. A message that already
+// says the baby is moving less is a triage red flag and goes straight to care —
+// counting is never a reason to wait.
+const TRIGGERS = {
+  kick_counter: /\b(kick count(s|ing)?|count(ing)? (the )?(kicks|movements)|how (often|much|many times) (should|does|do) (my |the )?baby (move|kick)|baby'?s? (movements?|kicks?)|fetal movements?)\b/i,
+  contraction_timer: /\b(contractions?|tightenings?|braxton|labou?r pains?|(am i|is this|could this be|think i'?m) (in )?labou?r|time (my|the) (contractions|pains))\b/i
+};
+
+// "kick_counter" | "contraction_timer" | null
+export function suggestTool(text) {
+  const s = String(text || "");
+  return TOOLS.find(tool => TRIGGERS[tool].test(s)) || null;
+}
+
+/* --------------------------------- Results ---------------------------------- */
+// `result` is what the app sends back:
+//   { tool: "kick_counter", startedAt, endedAt, count }
+//   { tool: "contraction_timer", contractions: [{ start, end }, ...] }
+// (times as ISO strings or ms). `week` is the pregnancy week if known.
+// Returns null for anything malformed, else
+//   { tool, status, urgent, flag, messageId, summary, ...figures }
+// where `summary` is an English line for the model and the chat history, and
+// `messageId` (urgent only) names the triage message to answer with.
+export function evaluateTool(result, { week = null } = {}) {
+  if (result?.tool === "kick_counter") return evaluateKicks(result, week);
+  if (result?.tool === "contraction_timer") return evaluateContractions(result, week);
+  return null;
+}
+
+const time = (v) => (typeof v === "number" ? v : Date.parse(v));
+
+function evaluateKicks({ startedAt, endedAt, count }, week) {
+  const start = time(startedAt);
+  const end = time(endedAt);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start || !Number.isInteger(count) || count < 0) return null;
+
+  const minutes = Math.round((end - start) / MINUTE_MS);
+  const early = week !== null && week < KICKS_FROM_WEEK;
+  let status = "incomplete"; // stopped early without reaching ten
+  if (count >= KICK_TARGET) status = "reassuring";
+  else if (minutes >= KICK_WINDOW_MIN) status = early ? "too_early" : "reduced"; // a low count means little yet
+  const urgent = status === "reduced";
+
+  let summary = `Kick counter: ${count} movement${count === 1 ? "" : "s"} in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+  if (status === "reassuring") summary += ` (reached ${KICK_TARGET}).`;
+  else if (status === "reduced" || status === "too_early") summary += ` — fewer than ${KICK_TARGET} in ${KICK_WINDOW_MIN / 60} hours.`;
+  else summary += ", stopped before reaching 10.";
+  if (early) summary += ` She is about ${week} weeks, before movements are usually counted.`;
+
+  return {
+    tool: "kick_counter",
+    status,
+    urgent,
+    flag: urgent ? "tool:reduced_fetal_movement" : null,
+    messageId: urgent ? "urgent_care" : null,
+    summary,
+    count,
+    minutes
+  };
+}
+
+function evaluateContractions({ contractions }, week) {
+  if (!Array.isArray(contractions) || contractions.length > 500) return null;
+  const list = contractions
+    .map(c => ({ start: time(c?.start), end: time(c?.end) }))
+    .filter(c => Number.isFinite(c.start) && Number.isFinite(c.end) && c.end > c.start)
+    .sort((a, b) => a.start - b.start);
+  if (!list.length) return null;
+
+  const last = list[list.length - 1];
+  const recent = list.filter(c => c.start >= last.start - LABOUR_SPAN_MIN * MINUTE_MS);
+  const durations = recent.map(c => (c.end - c.start) / 1000);
+  const intervals = recent.slice(1).map((c, i) => (c.start - recent[i].start) / MINUTE_MS); // start to start
+  const spanMinutes = (last.end - list[0].start) / MINUTE_MS;
+
+  const avgDurationSec = Math.round(durations.reduce((a, b) => a + b, 0) / durations.length);
+  const avgIntervalMin = intervals.length ? Math.round((intervals.reduce((a, b) => a + b, 0) / intervals.length) * 10) / 10 : null;
+
+  let status = "early";
+  if (list.length < 3) status = "too_few";
+  const preterm = week !== null && week < PRETERM_BEFORE_WEEK && recent.length >= PRETERM_PER_HOUR;
+  const active = spanMinutes >= LABOUR_SPAN_MIN && intervals.length >= 2 &&
+    intervals.every(m => m <= LABOUR_INTERVAL_MIN) && avgDurationSec >= LABOUR_DURATION_SEC;
+  if (active) status = "active_labour";
+  if (preterm) status = "preterm"; // more worrying than a term labour starting
+  const urgent = active || preterm;
+
+  let summary = `Contraction timer: ${list.length} contraction${list.length === 1 ? "" : "s"} over ${Math.round(spanMinutes)} minutes; ` +
+    `in the last hour ${recent.length}, lasting about ${avgDurationSec} seconds` +
+    (avgIntervalMin !== null ? `, about ${avgIntervalMin} minutes apart` : "") + ".";
+  if (status === "active_labour") summary += " This matches active labour (5-1-1).";
+  if (status === "preterm") summary += ` She is about ${week} weeks, so this could be preterm labour.`;
+
+  return {
+    tool: "contraction_timer",
+    status,
+    urgent,
+    flag: status === "preterm" ? "tool:preterm_contractions" : active ? "tool:active_labour" : null,
+    messageId: urgent ? "urgent_care" : null,
+    summary,
+    count: list.length,
+    lastHour: recent.length,
+    avgDurationSec,
+    avgIntervalMin,
+    spanMinutes: Math.round(spanMinutes)
+  };
+}
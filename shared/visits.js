@@ -0,0 +1,219 @@
+// visits.js — antenatal visit schedule from a due date (or last period), shared
+// by the backend (/api/visits, the /visits chat command, the prompt) and app.js
+// (visit list, calendar file, reminders). Plain ES module, like profile.js.
+//
+// Follows the eight-contact schedule in South Africa's BANC Plus guidelines
+// (WHO 2016): first visit before 12 weeks, then 20, 26, 30, 34, 36, 38 and 40.
+// Clinics adapt it, so everything we show says "ask your clinic" too.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+const encoder = new TextEncoder();
+
+export const SCHEDULE_VERSION = "banc-plus-2017";
+
+// `week` is when the visit is due; the first one should happen *by* then.
+// Checks are what usually happens, in plain words — never doses.
+export const VISITS = [
+  {
+    week: 12,
+    by: true,
+    title: "First antenatal visit (booking)",
+    checks: [
+      "Confirm the pregnancy and work out your due date",
+      "Blood pressure, weight and a urine test",
+      "Blood tests: HIV, syphilis, blood group and haemoglobin (iron)",
+      "Start the pregnancy supplements your nurse recommends",
+      "An ultrasound scan if your clinic offers one (best before 24 weeks)"
+    ]
+  },
+  {
+    week: 20,
+    title: "Second visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Measure your belly to check the baby's growth",
+      "Ultrasound scan if you haven't had one yet",
+      "Results of your first blood tests"
+    ]
+  },
+  {
+    week: 26,
+    title: "Third visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Baby's growth and heartbeat",
+      "Haemoglobin check if your nurse says it is due"
+    ]
+  },
+  {
+    week: 30,
+    title: "Fourth visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Baby's growth, heartbeat and movements",
+      "Repeat HIV test if due"
+    ]
+  },
+  {
+    week: 34,
+    title: "Fifth visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Baby's growth and position",
+      "Talk about where you will give birth and how you will get there"
+    ]
+  },
+  {
+    week: 36,
+    title: "Sixth visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Check the baby's position (head down or not)",
+      "Your birth plan and what to pack for the hospital"
+    ]
+  },
+  {
+    week: 38,
+    title: "Seventh visit",
+    checks: [
+      "Blood pressure and urine test",
+      "Baby's position and movements",
+      "Signs of labour and when to go in"
+    ]
+  },
+  {
+    week: 40,
+    title: "Due-date visit",
+    checks: [
+      "Blood pressure, urine and the baby's heartbeat",
+      "What happens if the baby hasn't come by 41 weeks"
+    ]
+  }
+];
+
+/* ---------------------------------- Dates ----------------------------------- */
+const toDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// "YYYY-MM-DD" -> UTC midnight in ms, or null. Date.parse rolls "2027-02-31"
+// over to March 3rd, so the date has to come back out unchanged.
+export function parseDay(s) {
+  if (typeof s !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const ms = Date.parse(`${s}T00:00:00Z`);
+  return Number.isNaN(ms) || toDay(ms) !== s ? null : ms;
+}
+
+// Today as UTC midnight of the local calendar date, so day counts don't drift by timezone
+export function dayOf(date) {
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// First day of the last period + 280 days (Naegele's rule), or null
+export function dueDateFromLmp(lmp) {
+  const start = parseDay(lmp);
+  return start === null ? null : toDay(start + PREGNANCY_DAYS * DAY_MS);
+}
+
+/* --------------------------------- Schedule --------------------------------- */
+// From { dueDate } or { lmp }. Returns null without a usable date, else
+//   { dueDate, basis: "due_date" | "lmp", version, visits, next }
+// where each visit is { number, week, date, by, title, checks, status:
+// "past" | "next" | "upcoming" } and `next` is the next visit (or null).
+export function visitSchedule({ dueDate, lmp } = {}, today = new Date()) {
+  const basis = parseDay(dueDate) !== null ? "due_date" : parseDay(lmp) !== null ? "lmp" : null;
+  if (!basis) return null;
+  const due = basis === "due_date" ? dueDate : dueDateFromLmp(lmp);
+  const dueMs = parseDay(due);
+  const now = dayOf(today);
+
+  let next = null;
+  const visits = VISITS.map((v, i) => {
+    const date = toDay(dueMs - (PREGNANCY_DAYS - v.week * 7) * DAY_MS);
+    let status = "upcoming";
+    if (parseDay(date) < now) status = "past";
+    else if (!next) status = "next";
+    const visit = { number: i + 1, week: v.week, date, by: Boolean(v.by), title: v.title, checks: v.checks, status };
+    if (status === "next") next = visit;
+    return visit;
+  });
+
+  return { dueDate: due, basis, version: SCHEDULE_VERSION, visits, next };
+}
+
+// English lines for the chat, e.g. "• Week 30 — Tue, 5 Jan 2027: Fourth visit"
+export function scheduleText(schedule) {
+  const when = (day) => new Date(`${day}T12:00:00Z`).toLocaleDateString("en-ZA", {
+    weekday: "short", day: "numeric", month: "short", year: "numeric", timeZone: "UTC"
+  });
+  const lines = [`Your antenatal visits (due date ${when(schedule.dueDate)}):`];
+  for (const v of schedule.visits) {
+    if (v.status === "past") continue;
+    lines.push(`• Week ${v.week}${v.by ? " at the latest" : ""} — ${when(v.date)}: ${v.title}${v.status === "next" ? " (next)" : ""}`);
+    if (v.status === "next") v.checks.forEach(c => lines.push(`   – ${c}`));
+  }
+  if (!schedule.next) lines.push("• All the usual visits are behind you. If the baby hasn't come by 41 weeks, go to your clinic or hospital.");
+  lines.push("Your clinic may give you different dates — theirs are the ones to follow.");
+  return lines.join("\n");
+}
+
+/* -------------------------------- iCalendar --------------------------------- */
+// An .ics file with one all-day event per visit still ahead, each with a
+// reminder at noon the day before. Nothing leaves the phone to make it.
+export function visitsCalendar(schedule, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const compact = (day) => day.replace(/-/g, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Kozani//Antenatal visits//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+
+  for (const v of schedule.visits) {
+    if (v.status === "past") continue;
+    const end = toDay(parseDay(v.date) + DAY_MS);
+    const summary = `Antenatal visit — week ${v.week}`;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:kozani-anc-${compact(schedule.dueDate)}-${v.number}@kozani`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(v.date)}`,
+      `DTEND;VALUE=DATE:${compact(end)}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${icsText(`${v.title}${v.by ? " (by this date)" : ""}\n${v.checks.map(c => `- ${c}`).join("\n")}\nBring your maternity case record (clinic card).`)}`,
+      "TRANSP:TRANSPARENT",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${icsText(`${summary} tomorrow`)}`,
+      "TRIGGER:-PT12H",
+      "END:VALARM",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 lines stay under 75 octets; continuations start with a space
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
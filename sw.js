@@ -0,0 +1,91 @@
+// sw.js — service worker: keeps the app shell available offline
+//
+// The shell is served from cache first and refreshed in the background, so the
+// app opens instantly on a bad connection and picks up new versions on the next
+// visit. Bump SHELL_CACHE when the file list changes. API calls are never
+// cached here (the backend and app.js deal with those), and the WebLLM model
+// weights are cached by WebLLM itself.
+const SHELL_CACHE = "kozani-shell-v5";
+const RUNTIME_CACHE = "kozani-runtime-v1";
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./app.js",
+  "./manifest.webmanifest",
+  "./shared/i18n.js",
+  "./shared/outputFilter.js",
+  "./shared/profile.js",
+  "./shared/visits.js",
+  "./shared/tools.js",
+  "./client/localModel.js",
+  "./client/outbox.js",
+  "./client/history.js"
+];
+
+// The WebLLM library (not the model) — small enough to keep for offline use
+const RUNTIME_HOSTS = ["esm.run", "cdn.jsdelivr.net"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((k) => k.startsWith("kozani-") && k !== SHELL_CACHE && k !== RUNTIME_CACHE)
+          .map((k) => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.includes("/api/")) return;
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(req));
+  }
+});
+
+async function staleWhileRevalidate(event) {
+  const req = event.request;
+  const cache = await caches.open(SHELL_CACHE);
+  // any page load offline falls back to the cached shell
+  const cached = await cache.match(req, { ignoreSearch: true }) ||
+    (req.mode === "navigate" ? await cache.match("./index.html") : undefined);
+
+  const network = fetch(req)
+    .then((resp) => {
+      if (resp.ok) cache.put(req, resp.clone());
+      return resp;
+    })
+    .catch(() => undefined);
+
+  if (cached) {
+    event.waitUntil(network); // keep refreshing after we've answered
+    return cached;
+  }
+  return (await network) || Response.error();
+}
+
+async function cacheFirst(req) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const resp = await fetch(req);
+  if (resp.ok) cache.put(req, resp.clone());
+  return resp;
+}
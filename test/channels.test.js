@@ -0,0 +1,94 @@
+// channels.test.js — webhook authentication, the USSD menu and the per-number
+// language, answered by the mock provider with sessions in a temporary directory
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kozani-channels-"));
+process.env.SESSIONS_DIR = dir;
+process.env.LLM_PROVIDERS = "mock";
+process.env.CHANNEL_PHONE_KEY = "test-key";
+process.env.CHANNEL_USSD_SECRET = "ussd-secret";
+process.env.TWILIO_AUTH_TOKEN = "twilio-token";
+
+const { askKozani, languageFor, chooseLanguage, forgetPhone } = await import("../server/channels/index.js");
+const { runUssd } = await import("../server/channels/ussd.js");
+const { runMessaging, twilioSignature } = await import("../server/channels/messaging.js");
+const { STRINGS } = await import("../shared/i18n.js");
+delete process.env.TWILIO_AUTH_TOKEN;
+const tokenless = await import("../server/channels/messaging.js?tokenless");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const dial = (sessionId, phoneNumber) => (text) =>
+  runUssd({ sessionId, phoneNumber, text }, { key: "ussd-secret" }).then(r => r.body);
+
+/* ------------------------------ Authentication ------------------------------ */
+test("Twilio requests need a valid signature, and a token to check it with", async () => {
+  const url = "https://kozani.test/api/channels/twilio";
+  const params = { From: "+27820000009", Body: "HELP" };
+  assert.equal((await runMessaging(params, { url, signature: "forged" })).status, 403);
+  assert.equal((await runMessaging(params, { url })).status, 403);
+  const signed = await runMessaging(params, { url, signature: twilioSignature(url, params, "twilio-token") });
+  assert.equal(signed.status, 200);
+  assert.equal((await tokenless.runMessaging(params, { url })).status, 503);
+});
+
+test("USSD requests need the shared secret", async () => {
+  const params = { sessionId: "ussd-0", phoneNumber: "0820000009", text: "" };
+  assert.equal((await runUssd(params)).status, 403);
+  assert.equal((await runUssd(params, { key: "wrong" })).status, 403);
+  assert.equal((await runUssd(params, { key: "ussd-secret" })).status, 200);
+});
+
+test("a USSD question keeps its '*' and pages with 0", async () => {
+  const ussd = dial("ussd-1", "0820000001");
+  assert.match(await ussd("1"), /^CON /);
+  const first = await ussd("1*is 2*3 hours of sleep enough");
+  assert.match(first, /is 2\*3 hours of sleep enough/);
+  assert.match(first, /^CON .*\n0\. More$/s);
+  assert.match(await ussd("1*is 2*3 hours of sleep enough*0"), /^END .*\(2\/2\)$/s);
+  assert.equal(await ussd("1*is 2*3 hours of sleep enough*7"), "END Sorry, that is not one of the choices. Please dial again.");
+});
+
+test("no language menu while only English has every USSD screen", async () => {
+  const ussd = dial("ussd-2", "0820000002");
+  assert.doesNotMatch(await ussd(""), /\n4\./);
+  assert.match(await ussd("4"), /^END Sorry/);
+});
+
+test("the USSD language menu lists translated languages and sets the number's language", async () => {
+  const zulu = { ...STRINGS.zu };
+  Object.assign(STRINGS.zu, Object.fromEntries(Object.entries(STRINGS.en).map(([k, v]) => [k, STRINGS.zu[k] ?? `zu:${v}`])));
+  try {
+    const translated = await import("../server/channels/ussd.js?translated");
+    const ussd = (text) => translated.runUssd({ sessionId: "ussd-3", phoneNumber: "0820000004", text }, { key: "ussd-secret" }).then(r => r.body);
+    assert.match(await ussd(""), /\n4\. Language$/);
+    assert.equal(await ussd("4"), "CON Language\n1. English\n2. isiZulu");
+    assert.match(await ussd("4*2"), /^CON zu:Kozani\n1\. /);
+    assert.equal(languageFor("+27820000004"), "zu");
+    assert.match(await ussd("4*9"), /^END /);
+  } finally {
+    for (const key of Object.keys(STRINGS.zu)) if (!(key in zulu)) delete STRINGS.zu[key];
+  }
+});
+
+test("a message's language is remembered until another reads clearly", async () => {
+  const phone = "+27820000003";
+  assert.equal(languageFor(phone), null);
+  await askKozani({ phone, text: "Ngiyabonga kakhulu, ngizizwa ngikhathele", channel: "sms" });
+  assert.equal(languageFor(phone), "zu");
+  await askKozani({ phone, text: "ok", channel: "sms" });
+  assert.equal(languageFor(phone), "zu");
+  await askKozani({ phone, text: "I feel so tired and my back is sore, what can I do", channel: "sms" });
+  assert.equal(languageFor(phone), "en");
+
+  // A chosen language isn't overridden by detection, and DELETE forgets it
+  chooseLanguage(phone, "af");
+  await askKozani({ phone, text: "Ngiyabonga kakhulu, ngizizwa ngikhathele", channel: "sms" });
+  assert.equal(languageFor(phone), "af");
+  forgetPhone(phone);
+  assert.equal(languageFor(phone), null);
+});
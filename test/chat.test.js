@@ -0,0 +1,98 @@
+// chat.test.js — the chat pipeline end to end, with sessions in a temporary
+// directory. A mock provider that always fails with a 503 comes first in the
+// chain, so every answer has to fail over to the working mock.
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kozani-chat-"));
+process.env.SESSIONS_DIR = dir;
+process.env.LLM_CONFIG = path.join(dir, "llm.json");
+fs.writeFileSync(process.env.LLM_CONFIG, JSON.stringify({
+  order: ["down", "mock"],
+  providers: {
+    down: { type: "mock", model: "kozani-down-1", failWith: 503 },
+    refused: { type: "mock", model: "kozani-refused-1", failWith: 400 },
+    mock: { type: "mock", model: "kozani-mock-1" }
+  }
+}));
+process.env.LLM_PROVIDERS = "down,mock";
+
+const { runChat } = await import("../server/chat.js");
+const llm = await import("../server/providers/index.js");
+process.env.LLM_PROVIDERS = "refused,mock";
+const refusing = await import("../server/providers/index.js?refused");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/* ------------------------------ Reply language ------------------------------ */
+test("an unsure detection keeps the session's language", async () => {
+  const guess = await runChat({ query: "Go to sleep" });
+  assert.equal(guess.body.meta.detectedLanguage, "tn");
+  assert.equal(guess.body.meta.language, "en");
+
+  const zulu = await runChat({ query: "Ngiyacela ungisize, ingane yami ayilali kahle ebusuku" });
+  assert.equal(zulu.body.meta.language, "zu");
+  const reply = await runChat({ query: "ok", sessionId: zulu.body.sessionId });
+  assert.equal(reply.body.meta.language, "zu");
+});
+
+/* --------------------------------- Requests --------------------------------- */
+test("malformed snippets are a bad request, not a crash", async () => {
+  for (const snippets of ["some text", { text: "x" }, [null], [{ title: "no text" }]]) {
+    const result = await runChat({ query: "Is it normal to feel tired?", snippets });
+    assert.equal(result.status, 400, JSON.stringify(snippets));
+    assert.deepEqual(result.body.safety.flags, ["invalid_snippets"]);
+  }
+  const ok = await runChat({ query: "Is it normal to feel tired?", snippets: [{ text: "Tiredness is common." }] });
+  assert.equal(ok.status, 200);
+});
+
+/* --------------------------------- Failover --------------------------------- */
+const ask = [{ role: "user", content: "Is it normal to feel tired?" }];
+const failedFirst = (attempts) => {
+  assert.deepEqual(attempts.map(a => [a.provider, a.ok, a.status]), [["down", false, 503], ["mock", true, undefined]]);
+};
+
+test("a 5xx moves on to the next provider", async () => {
+  const result = await llm.complete({ messages: ask });
+  assert.equal(result.provider, "mock");
+  assert.equal(result.model, "kozani-mock-1");
+  assert.match(result.text, /Is it normal to feel tired\?/);
+  failedFirst(result.attempts);
+
+  const deltas = [];
+  const streamed = await llm.stream({ messages: ask }, { onDelta: (d) => deltas.push(d) });
+  assert.equal(streamed.provider, "mock");
+  assert.equal(deltas.join(""), streamed.text);
+  failedFirst(streamed.attempts);
+});
+
+test("a 4xx does not fail over", async () => {
+  await assert.rejects(refusing.complete({ messages: ask }), (err) => {
+    assert.equal(err.status, 400);
+    assert.deepEqual(err.attempts.map(a => a.provider), ["refused"]);
+    return true;
+  });
+});
+
+test("runChat reports the provider that answered", async () => {
+  const { status, body } = await runChat({ query: "Is it normal to feel tired?" });
+  assert.equal(status, 200);
+  assert.match(body.answer, /Is it normal to feel tired\?/);
+  assert.equal(body.meta.provider, "mock");
+  assert.equal(body.meta.model, "kozani-mock-1");
+  assert.equal(body.meta.streamed, false);
+  failedFirst(body.meta.providerAttempts);
+});
+
+test("runChat streams the failed-over answer", async () => {
+  const tokens = [];
+  const { status, body } = await runChat({ query: "Is it normal to feel tired?" }, { onToken: (t) => tokens.push(t) });
+  assert.equal(status, 200);
+  assert.equal(body.meta.provider, "mock");
+  assert.equal(body.meta.streamed, true);
+  assert.equal(tokens.join("").trim(), body.answer);
+});
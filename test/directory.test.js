@@ -0,0 +1,36 @@
+// directory.test.js — server/directory.js against data/directory.json and a temporary file
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const { lookupContacts } = await import("../server/directory.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kozani-directory-"));
+process.env.DIRECTORY_PATH = path.join(dir, "directory.json");
+const scratch = await import("../server/directory.js?scratch");
+delete process.env.DIRECTORY_PATH;
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (contacts) => fs.writeFileSync(scratch.DIRECTORY_PATH, JSON.stringify({ version: "t", contacts }));
+const helpline = { id: "line", type: "helpline", name: "A line", phone: "0800 000 000", needs: ["mental_health_crisis"] };
+const ambulance = { id: "ems", type: "emergency", name: "Ambulance", phone: "10177", needs: ["urgent_care", "mental_health_crisis"] };
+
+test("urgent answers get the national emergency numbers", () => {
+  const phones = lookupContacts({ need: "urgent_care" }).contacts.map(c => c.phone);
+  assert.deepEqual(phones, ["10177", "112"]);
+});
+
+test("a helpline without lastVerified is refused", () => {
+  write([ambulance, helpline]);
+  assert.throws(() => scratch.loadDirectory(), /lastVerified/);
+});
+
+test("verified helplines come first in a crisis", async () => {
+  write([ambulance, { ...helpline, lastVerified: "2026-10-01" }]);
+  const { contacts } = scratch.lookupContacts({ need: "mental_health_crisis" });
+  assert.deepEqual(contacts.map(c => c.id), ["line", "ems"]);
+  assert.equal(contacts[0].tel, "tel:+27800000000");
+  assert.equal(contacts[0].lastVerified, "2026-10-01");
+});
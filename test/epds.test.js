@@ -0,0 +1,35 @@
+// epds.test.js — EPDS results and who they point her to
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runEpds, scoreEpds } from "../server/epds.js";
+
+// For each item, the option index with the given score (items 3 and 5–10 are reverse-scored)
+const answersScoring = (scores) => scores.map((score, i) => {
+  for (let option = 0; option < 4; option++) {
+    const answers = Array(10).fill(0);
+    answers[i] = option;
+    if (scoreEpds(answers).items[i].score === score) return option;
+  }
+  throw new Error(`item ${i + 1} has no option scoring ${score}`);
+});
+
+test("a likely result without thoughts of self-harm still lists someone to call", () => {
+  const { status, body } = runEpds({ answers: answersScoring([2, 2, 2, 2, 2, 2, 2, 2, 2, 0]) });
+  assert.equal(status, 200);
+  assert.equal(body.result.band, "likely");
+  assert.equal(body.result.selfHarm, false);
+  assert.ok(body.contacts.length > 0);
+  assert.ok(body.contacts.every(c => c.tel));
+});
+
+test("a low result lists no contacts", () => {
+  const { body } = runEpds({ answers: answersScoring(Array(10).fill(0)) });
+  assert.equal(body.result.band, "low");
+  assert.deepEqual(body.contacts, []);
+});
+
+test("any answer other than never to question 10 escalates", () => {
+  const { body } = runEpds({ answers: answersScoring([0, 0, 0, 0, 0, 0, 0, 0, 0, 1]) });
+  assert.equal(body.safety.risk, "high");
+  assert.ok(body.contacts.some(c => c.phone === "10177"));
+});
@@ -0,0 +1,24 @@
+// i18n.test.js — English fallback for strings still pending translation
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_LANGUAGE, LANGUAGES, STRINGS, isTranslated, untranslatedKeys, t } from "../shared/i18n.js";
+
+test("every translated key exists in English", () => {
+  const english = new Set(Object.keys(STRINGS[DEFAULT_LANGUAGE]));
+  for (const lang of Object.keys(LANGUAGES)) {
+    assert.ok(STRINGS[lang], `no strings for ${lang}`);
+    for (const key of Object.keys(STRINGS[lang])) assert.ok(english.has(key), `${lang}.${key} has no English original`);
+  }
+});
+
+test("untranslated strings fall back to English and are reported", () => {
+  assert.deepEqual(untranslatedKeys(DEFAULT_LANGUAGE), []);
+  for (const lang of Object.keys(LANGUAGES)) {
+    for (const key of untranslatedKeys(lang)) {
+      assert.equal(isTranslated(lang, key), false);
+      assert.equal(t(lang, key), STRINGS[DEFAULT_LANGUAGE][key]);
+    }
+  }
+  assert.ok(isTranslated("zu", "emptyQuery"));
+  assert.ok(untranslatedKeys("zu").includes("translationPending"));
+});
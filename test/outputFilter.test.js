@@ -0,0 +1,26 @@
+// outputFilter.test.js — which answer sentences the output filter lets through
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateAnswer } from "../shared/outputFilter.js";
+
+const doses = (text) => validateAnswer(text).findings.filter(f => f.type === "dose");
+
+test("an interval next to a medicine is a dose", () => {
+  for (const text of [
+    "Take paracetamol every 6 hours.",
+    "Give her the syrup every 4 to 6 hours.",
+    "You can take 500 mg every 8 hours."
+  ]) {
+    assert.equal(doses(text).length, 1, `"${text}" should be flagged`);
+  }
+});
+
+test("feeding and sleep intervals are allowed", () => {
+  for (const text of [
+    "Feed your baby every 2 to 3 hours, day and night.",
+    "Newborns often wake every 3 hours to feed.",
+    "Try to give your baby a feed every 2-3 hours."
+  ]) {
+    assert.equal(validateAnswer(text).ok, true, `"${text}" should not be flagged`);
+  }
+});
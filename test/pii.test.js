@@ -0,0 +1,39 @@
+// pii.test.js — server/pii.js against the messages in fixtures/pii-messages.json
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { redactPII, restorePII } from "../server/pii.js";
+
+const corpus = JSON.parse(fs.readFileSync(new URL("./fixtures/pii-messages.json", import.meta.url), "utf8"));
+
+test("personal details are replaced by placeholders", () => {
+  for (const { text, redacted, kept } of corpus.cases) {
+    const { text: out, entities } = redactPII(text);
+    for (const [value, type] of Object.entries(redacted)) {
+      assert.ok(!out.includes(value), `"${value}" should be redacted from "${text}"`);
+      assert.ok(Object.values(entities).some(e => e.type === type && e.value === value), `"${value}" should be a ${type} in "${text}"`);
+    }
+    for (const phrase of kept) assert.ok(out.includes(phrase), `"${phrase}" should survive in "${text}"`);
+  }
+});
+
+test("ordinary messages pass through unchanged", () => {
+  for (const text of corpus.untouched) assert.equal(redactPII(text).text, text);
+});
+
+test("the same value gets the same placeholder", () => {
+  const a = redactPII("My partner is Themba Dlamini").text;
+  const b = redactPII("Themba Dlamini is my partner, call me Themba Dlamini").text;
+  assert.ok(b.endsWith(a.replace("My partner is ", "")));
+});
+
+test("names and clinics come back, ID numbers and emails do not", () => {
+  const { entities } = redactPII("My name is Ayanda, my ID is 9202204720082 and I go to Jabulani clinic");
+  const placeholder = (type) => Object.keys(entities).find(ph => entities[ph].type === type);
+  const [name, id, clinic] = ["NAME", "ID_NUMBER", "CLINIC"].map(placeholder);
+  assert.equal(
+    restorePII(`Hello ${name}. ${clinic} can help; keep ${id} safe.`, entities),
+    "Hello Ayanda. Jabulani clinic can help; keep your ID number safe."
+  );
+  assert.equal(restorePII("Ask about [EMAIL_abcdef].", {}), "Ask about your email address.");
+});
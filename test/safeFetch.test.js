@@ -0,0 +1,103 @@
+// safeFetch.test.js — server/safeFetch.js against a stub server on 127.0.0.1
+//
+// FETCH_ALLOW_HTTP and FETCH_ALLOW_LOOPBACK let the fetcher reach the stub; the
+// module reads them on import, so a second copy (imported with "?strict") runs
+// without the loopback exception. DNS answers are faked with mock.method.
+import test, { before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import dns from "node:dns";
+
+process.env.FETCH_ALLOW_HTTP = "true";
+process.env.FETCH_ALLOW_LOOPBACK = "true";
+const { safeGet } = await import("../server/safeFetch.js");
+delete process.env.FETCH_ALLOW_LOOPBACK;
+const strict = await import("../server/safeFetch.js?strict");
+
+const anyHost = () => true;
+let server;
+let base;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const to = new URL(req.url, "http://stub").searchParams.get("to");
+    if (to) {
+      res.writeHead(302, { Location: to });
+      return res.end();
+    }
+    if (req.url === "/loop") {
+      res.writeHead(302, { Location: "/loop" });
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("ok");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+  base = `http://127.0.0.1:${port}`;
+});
+
+after(() => server.close());
+
+// Rejects with the given `reason` (see REASONS in safeFetch.js)
+async function refused(promise, reason) {
+  await assert.rejects(promise, err => {
+    assert.equal(err.reason, reason, err.message);
+    return true;
+  });
+}
+
+const redirectTo = (target) => `${base}/?to=${encodeURIComponent(target)}`;
+
+test("fetches from the stub and follows a redirect on it", async () => {
+  const resp = await safeGet(redirectTo(`${base}/page`), { isAllowed: anyHost });
+  assert.equal(resp.status, 200);
+  assert.equal(resp.data, "ok");
+  assert.deepEqual(resp.redirects, [`${base}/page`]);
+});
+
+test("a 302 to 169.254.169.254 (cloud metadata) is refused", async () => {
+  await refused(safeGet(redirectTo("http://169.254.169.254/latest/meta-data/"), { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+});
+
+test("a 302 to a LAN address is refused", async () => {
+  await refused(safeGet(redirectTo("http://10.0.0.1/"), { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+});
+
+test("a 302 to 127.0.0.1 is refused when only the stub's name is allowed", async (t) => {
+  t.mock.method(dns, "lookup", (host, options, callback) => callback(null, [{ address: "127.0.0.1", family: 4 }]));
+  const isAllowed = (url) => new URL(url).hostname === "stub.test";
+  await refused(
+    safeGet(`http://stub.test:${port}/?to=${encodeURIComponent(`http://127.0.0.1:${port}/`)}`, { isAllowed }),
+    "REDIRECT_HOST_NOT_ALLOWED"
+  );
+});
+
+test("without FETCH_ALLOW_LOOPBACK, 127.0.0.1 is refused directly and by name", async (t) => {
+  await refused(strict.safeGet(`${base}/`, { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+  t.mock.method(dns, "lookup", (host, options, callback) => callback(null, [{ address: "127.0.0.1", family: 4 }]));
+  await refused(strict.safeGet(`http://stub.test:${port}/`, { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+});
+
+test("a name that resolves to a private address is refused at connect time", async (t) => {
+  t.mock.method(dns, "lookup", (host, options, callback) => callback(null, [{ address: "192.168.1.20", family: 4 }]));
+  await refused(safeGet("http://rebind.test/", { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+});
+
+test("a redirect to a name that rebinds to a private address is refused", async (t) => {
+  const real = dns.lookup;
+  t.mock.method(dns, "lookup", (host, options, callback) => (host === "rebind.test"
+    ? callback(null, [{ address: "93.184.216.34", family: 4 }, { address: "10.20.30.40", family: 4 }])
+    : real(host, options, callback)));
+  await refused(safeGet(redirectTo("http://rebind.test/"), { isAllowed: anyHost }), "PRIVATE_ADDRESS");
+});
+
+test("redirect loops stop at maxRedirects", async () => {
+  await refused(safeGet(`${base}/loop`, { isAllowed: anyHost, maxRedirects: 3 }), "TOO_MANY_REDIRECTS");
+});
+
+test("credentials and non-HTTP schemes are refused before any request", async () => {
+  await refused(safeGet(`http://user:pw@127.0.0.1:${port}/`, { isAllowed: anyHost }), "CREDENTIALS_IN_URL");
+  await refused(safeGet("file:///etc/passwd", { isAllowed: anyHost }), "HTTPS_REQUIRED");
+});
@@ -0,0 +1,121 @@
+// search.test.js — the search registry with stub providers, and the local
+// provider over a fetch cache in a temporary directory
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kozani-search-"));
+process.env.FETCH_CACHE_DIR = path.join(dir, "cache");
+process.env.FETCH_CACHE_MAX_ENTRIES = "4";
+process.env.SEARCH_CONFIG = path.join(dir, "search.json");
+fs.writeFileSync(process.env.SEARCH_CONFIG, JSON.stringify({
+  order: ["stub"],
+  providers: {
+    stub: { type: "stub" },
+    fixed: {
+      type: "stub",
+      results: [
+        { title: "Iron in pregnancy", url: "https://www.health.gov.za/iron/", snippet: "From the fixed stub." },
+        { title: "Elsewhere", url: "https://blocked.example/iron", snippet: "Not on the allow-list." }
+      ]
+    },
+    down: { type: "stub", failWith: 503 },
+    local: { type: "local" }
+  }
+}));
+
+const { putCached } = await import("../server/fetchCache.js");
+const { createLocalProvider } = await import("../server/search/local.js");
+const { createSearch } = await import("../server/search/index.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const SOURCES = {
+  "who.int": { tier: 1, region: null },
+  "health.gov.za": { tier: 1, region: "ZA" },
+  "babycenter.com": { tier: 3, region: null }
+};
+const domainOf = (url) => new URL(url).hostname.replace(/^www\./, "");
+const ctx = {
+  allowedDomains: () => ["babycenter.com", "who.int", "health.gov.za"],
+  isAllowed: (url) => Boolean(SOURCES[domainOf(url)]),
+  sourceFor: (url) => SOURCES[domainOf(url)] || null
+};
+
+function searchWith(providers) {
+  process.env.SEARCH_PROVIDERS = providers;
+  return createSearch(ctx);
+}
+
+const page = (title, fullText, url) => ({ url, title, fullText });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5)); // fetchedAt is in ms
+
+/* ------------------------------ Registry + stub ----------------------------- */
+test("stub results are filtered by the allow-list and ranked by tier", async () => {
+  const { items, providers } = await searchWith("stub").search({ q: "iron", count: 5 });
+  assert.deepEqual(items.map(i => domainOf(i.url)).slice(-1), ["babycenter.com"]);
+  assert.ok(items.slice(0, 2).every(i => i.tier === 1));
+  assert.deepEqual(providers, [{ provider: "stub", ok: true, count: 3 }]);
+});
+
+test("the market nudges a matching region up", async () => {
+  const { items } = await searchWith("stub").search({ q: "iron", mkt: "en-ZA" });
+  assert.equal(domainOf(items[0].url), "health.gov.za");
+});
+
+test("a failing provider is reported and the others still answer", async () => {
+  const { items, providers } = await searchWith("down,fixed").search({ q: "iron" });
+  assert.deepEqual(items.map(i => i.url), ["https://www.health.gov.za/iron/"]);
+  assert.equal(providers[0].ok, false);
+  await assert.rejects(searchWith("down").search({ q: "iron" }), err => err.status === 502);
+});
+
+test("the same page from two providers is merged", async () => {
+  putCached("https://health.gov.za/iron", page("Iron", "Take iron tablets as your clinic advises.", "https://health.gov.za/iron"));
+  const { items } = await searchWith("fixed,local").search({ q: "iron tablets" });
+  assert.equal(items.length, 1);
+  assert.deepEqual(items[0].providers, ["fixed", "local"]);
+  assert.equal(items[0].snippet, "From the fixed stub.");
+});
+
+/* ------------------------------ Local provider ------------------------------ */
+test("the local provider finds cached pages and keeps up as they change", async (t) => {
+  const local = createLocalProvider("local");
+  putCached("https://who.int/sleep", page("Newborn sleep", "Newborns sleep 14 to 17 hours a day in short stretches.", "https://who.int/sleep"));
+  putCached("https://who.int/feeding", page("Breastfeeding", "Feed your baby whenever they show hunger cues.", "https://who.int/feeding"));
+
+  let results = await local.search({ q: "how long do newborns sleep", limit: 5 });
+  assert.equal(results[0].url, "https://who.int/sleep");
+  assert.match(results[0].snippet, /14 to 17 hours/);
+
+  // Only the new page is read when one is added
+  await tick();
+  putCached("https://who.int/latch", page("Latching", "A deep latch makes feeding comfortable.", "https://who.int/latch"));
+  const reads = t.mock.method(fs, "readFileSync");
+  results = await local.search({ q: "zzzz", limit: 5 });
+  assert.equal(reads.mock.callCount(), 1);
+  reads.mock.restore();
+
+  // A refetched page is re-counted with its new text
+  await tick();
+  putCached("https://who.int/sleep", page("Newborn sleep", "Safe sleep: always put your baby down on their back.", "https://who.int/sleep"));
+  assert.deepEqual(await local.search({ q: "hours", limit: 5 }), []);
+  assert.equal((await local.search({ q: "back", limit: 5 }))[0].url, "https://who.int/sleep");
+
+  // Past FETCH_CACHE_MAX_ENTRIES the least recently used page is evicted
+  await tick();
+  putCached("https://who.int/anaemia", page("Anaemia", "Anaemia makes you tired.", "https://who.int/anaemia"));
+  putCached("https://who.int/iron2", page("More iron", "Iron rich food such as spinach.", "https://who.int/iron2"));
+  assert.deepEqual(await local.search({ q: "iron tablets clinic advises", limit: 5 }).then(r => r.map(x => x.url)), ["https://who.int/iron2"]);
+});
+
+test("the local provider honours freshness", async () => {
+  const local = createLocalProvider("local");
+  putCached("https://who.int/old", page("Old advice", "Old advice about colic.", "https://who.int/old"), {
+    lastModified: "Mon, 01 Jan 2018 00:00:00 GMT"
+  });
+  assert.ok((await local.search({ q: "colic", limit: 5 })).some(r => r.url === "https://who.int/old"));
+  assert.ok(!(await local.search({ q: "colic", limit: 5, freshness: "year" })).some(r => r.url === "https://who.int/old"));
+});
@@ -0,0 +1,25 @@
+// tools.test.js — the kick counter verdicts from shared/tools.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateTool } from "../shared/tools.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const kicks = (count, hours) => ({ tool: "kick_counter", startedAt: 0, endedAt: hours * HOUR_MS, count });
+
+test("fewer than ten kicks in two hours is urgent from 28 weeks", () => {
+  for (const week of [28, 36, null]) {
+    const verdict = evaluateTool(kicks(4, 2), { week });
+    assert.equal(verdict.status, "reduced");
+    assert.equal(verdict.urgent, true);
+    assert.equal(verdict.flag, "tool:reduced_fetal_movement");
+  }
+  assert.equal(evaluateTool(kicks(10, 1), { week: 32 }).urgent, false);
+});
+
+test("a low count before 28 weeks is not urgent", () => {
+  const verdict = evaluateTool(kicks(4, 2), { week: 22 });
+  assert.equal(verdict.status, "too_early");
+  assert.equal(verdict.urgent, false);
+  assert.equal(verdict.flag, null);
+  assert.match(verdict.summary, /about 22 weeks, before movements are usually counted/);
+});
@@ -0,0 +1,23 @@
+// triage.test.js — every phrasing in fixtures/triage-phrasings.json against data/triage-rules.json
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { triage } from "../server/triage.js";
+
+const corpus = JSON.parse(fs.readFileSync(new URL("./fixtures/triage-phrasings.json", import.meta.url), "utf8"));
+
+for (const [rule, { level, phrasings }] of Object.entries(corpus.rules)) {
+  test(`triage catches ${rule}`, () => {
+    for (const text of phrasings) {
+      const result = triage(text);
+      assert.ok(result.matches.some(m => m.rule === rule), `"${text}" should match ${rule}`);
+      assert.equal(result.level, level, `"${text}" should be ${level}`);
+    }
+  });
+}
+
+test("triage leaves ordinary messages alone", () => {
+  for (const text of corpus.none) {
+    assert.equal(triage(text).level, "none", `"${text}" should not be flagged`);
+  }
+});
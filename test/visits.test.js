@@ -0,0 +1,19 @@
+// visits.test.js — date parsing shared by shared/visits.js and shared/profile.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDay, visitSchedule } from "../shared/visits.js";
+import { normalizeProfile } from "../shared/profile.js";
+
+test("parseDay accepts real calendar dates only", () => {
+  assert.equal(parseDay("2027-02-28"), Date.UTC(2027, 1, 28));
+  assert.equal(parseDay("2028-02-29"), Date.UTC(2028, 1, 29));
+  for (const s of ["2027-02-31", "2027-02-29", "2027-04-31", "2027-13-01", "2027-00-10", "27-02-01", "2027-2-1", 20270201, null]) {
+    assert.equal(parseDay(s), null, String(s));
+  }
+});
+
+test("an impossible due date gives no schedule and is dropped from the profile", () => {
+  assert.equal(visitSchedule({ dueDate: "2027-02-31" }), null);
+  assert.ok(visitSchedule({ dueDate: "2027-02-28" }, new Date(2026, 9, 1)));
+  assert.equal(normalizeProfile({ dueDate: "2027-02-31" }, new Date(2026, 9, 1)), null);
+});